@@ -45,6 +45,9 @@ import MentionModule from './mention.js';
 import AnchorModule from './anchor.js';
 import AIModule from './ai.js';
 import CaptchaModule from './captcha.js';
+import StorageModule from './storage.js';
+import DraftsModule from './drafts.js';
+import LinksModule from './links.js';
 import { QuoteSelector } from "./quote.js";
 
 // ==================== MODULE CONSTANTS ====================
@@ -57,6 +60,9 @@ const DEFAULT_COMMENT_LIMIT = 15;
 const OBSERVER_ROOT_MARGIN = '1200px';
 const BUFFER_SIZE = 50;
 const BATCH_SIZE = 50;
+const THREAD_SORTS = ['top', 'newest', 'oldest', 'replies']; // in the order the selector lists them
+const DEFAULT_THREAD_SORT = 'newest';
+const DRAFT_SAVE_DELAY = 500; // ms
 
 // ==================== PRIVATE VARIABLES ====================
 let workerInstance = null;
@@ -65,6 +71,7 @@ let cid = null;
 let activeCommentElement = null;
 let pressTimer = null;
 let useCaptcha = false;
+let unsubscribeCaptcha = null;
 
 let visibilityObservers = null;
 let activeAction = null;
@@ -75,6 +82,12 @@ let storedComments = new Map();
 let storedRenderedComments  = new Map();
 let isScrolling = false;
 let scrollTimeout = null;
+let pendingThreadLoad = null; // { id, timeoutId }
+let liveComments = new Map(); // commentId -> live payload waiting behind the "new comments" pill
+let threadSort = null; // sort mode chosen on this site, read lazily from storage
+let draftEntityId = null; // entity the text in the comment input belongs to
+let pendingDraft = null; // { entityId, replyId, text } waiting for the autosave debounce
+let persistDraft = null; // debounced flushDraft
 
 // ==================== EVENT HANDLER UTILITIES ====================
 
@@ -498,7 +511,9 @@ function setupCommentHandlers() {
         ['touchstart', handleTouchStart, { passive: true }],
         ['touchmove', handleTouchMove, { passive: true }],
         ['touchend', handleTouchEnd],
-        ['touchcancel', handleTouchEnd]
+        ['touchcancel', handleTouchEnd],
+        ['click', handleSpoilerReveal],
+        ['keydown', handleSpoilerReveal]
     ];
 
     handlers.forEach(([event, handler, options]) => {
@@ -574,6 +589,20 @@ function handleTouchEnd() {
     activeAction = null;
 }
 
+/**
+ * Reveals a ||spoiler|| on tap, or on Enter/Space when it has focus.
+ * The first tap only reveals, so links inside a spoiler are not followed blindly.
+ * @param {MouseEvent|KeyboardEvent} e
+ */
+function handleSpoilerReveal(e) {
+    const spoiler = e.target.closest?.('.quelora-spoiler');
+    if (!spoiler || spoiler.classList.contains('revealed')) return;
+    if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+
+    e.preventDefault();
+    spoiler.classList.add('revealed');
+}
+
 // ==================== HELPER FUNCTIONS ====================
 
 /**
@@ -587,6 +616,16 @@ const handleError = (error, context) => {
     return null;
 };
 
+/**
+ * Author of a rendered comment, so the worker only evicts that profile after a mutation
+ * @param {string} commentId - The comment ID
+ * @returns {string|null}
+ */
+const getCommentAuthor = (commentId) => {
+    const thread = UiModule.getCommentHeaderUI(commentId, true);
+    return (Array.isArray(thread) ? thread[0] : thread)?.getAttribute('data-author-id') || null;
+};
+
 /**
  * Counts how many reply levels deep a comment is
  * @param {HTMLElement} element - The comment element
@@ -630,14 +669,46 @@ async function initializeComments(dependencies) {
         token = dependencies.token;
         cid = dependencies.cid;
         useCaptcha = dependencies.useCaptcha;
+        unsubscribeCaptcha = ConfModule.onChange('captcha.enabled', (enabled) => {
+            useCaptcha = Boolean(enabled);
+        });
 
         setupCommentHandlers();
         setupVisibilityObservers();
+        UiModule.commentsDrawerUI.on('close', closeThread);
+        threadSort = null;
+        UiModule.renderThreadSortUI(THREAD_SORTS, getThreadSort(), setThreadSort);
+
+        persistDraft = UtilsModule.debounce(flushDraft, DRAFT_SAVE_DELAY);
+        const commentInput = UiModule.getCommentInputUI();
+        commentInput?.removeEventListener('input', handleDraftInput);
+        commentInput?.addEventListener('input', handleDraftInput);
     } catch (error) {
         handleError(error, 'CommentsModule.initializeComments');
     }
 }
 
+/**
+ * Releases the open thread, observers and drawer listeners before the instance is destroyed
+ */
+function destroyComments() {
+    try {
+        closeThread();
+        cleanupVisibilityObservers();
+        storedComments.clear();
+        storedRenderedComments.clear();
+        UiModule.commentsDrawerUI.off('close', closeThread);
+        UiModule.getCommentInputUI()?.removeEventListener('input', handleDraftInput);
+        flushDraft();
+        draftEntityId = null;
+        unsubscribeCaptcha?.();
+        unsubscribeCaptcha = null;
+        workerInstance = null;
+    } catch (error) {
+        handleError(error, 'CommentsModule.destroyComments');
+    }
+}
+
 /**
  * Updates the authentication token
  * @param {string} newToken - The new authentication token
@@ -653,14 +724,85 @@ async function setToken(newToken) {
     }
 }
 
+// ==================== THREAD SORTING ====================
+
+const getThreadSortKey = () => `quelora_thread_sort_${cid}`;
+
+/**
+ * Gets the sort mode for top-level comments, as last chosen on this site
+ * @returns {string} One of THREAD_SORTS
+ */
+function getThreadSort() {
+    if (!threadSort) {
+        const stored = StorageModule.getLocalItem(getThreadSortKey());
+        threadSort = THREAD_SORTS.includes(stored) ? stored : DEFAULT_THREAD_SORT;
+    }
+    return threadSort;
+}
+
+/**
+ * Changes the sort mode, remembers it for this site and reloads the open thread
+ * @param {string} sort - One of THREAD_SORTS
+ */
+function setThreadSort(sort) {
+    try {
+        if (!THREAD_SORTS.includes(sort)) {
+            throw new Error(`Unknown thread sort "${sort}"`);
+        }
+
+        UiModule.renderThreadSortUI(THREAD_SORTS, sort, setThreadSort);
+        if (sort === getThreadSort()) return;
+
+        threadSort = sort;
+        StorageModule.setLocalItem(getThreadSortKey(), sort);
+
+        const entityId = UiModule.getCommunityThreadsUI()?.getAttribute('data-threads-entity');
+        if (entityId && UiModule.commentsDrawerUI.element?.classList.contains('active')) {
+            fetchComments(entityId);
+        }
+    } catch (error) {
+        handleError(error, 'CommentsModule.setThreadSort');
+    }
+}
+
 // ==================== COMMENT ACTIONS ====================
 
+/**
+ * Cancels a thread load that has not returned yet, both the delayed post and the worker request
+ */
+function cancelThreadLoad() {
+    try {
+        if (!pendingThreadLoad) return;
+
+        UtilsModule.cancelTimeout(pendingThreadLoad.timeoutId);
+        workerInstance?.abort(pendingThreadLoad.id);
+        pendingThreadLoad = null;
+    } catch (error) {
+        handleError(error, 'CommentsModule.cancelThreadLoad');
+    }
+}
+
+/**
+ * Releases everything tied to the open thread when the drawer closes
+ */
+function closeThread() {
+    try {
+        cancelThreadLoad();
+        liveComments.clear();
+        updateNewCommentsPill();
+        workerInstance?.postMessage({ action: 'unsubscribeThread' });
+    } catch (error) {
+        handleError(error, 'CommentsModule.closeThread');
+    }
+}
+
 /**
  * Fetches comments for an entity
  * @param {string} entityId - The entity ID to fetch comments for
  * @param {string|null} lastCommentId - ID of the last fetched comment (for pagination)
  * @param {boolean} includeLast - Whether to include the last comment in results
  * @param {boolean} forceRefresh - Whether to force a refresh from server
+ * Top-level comments come in the order of getThreadSort()
  */
 async function fetchComments(entityId, lastCommentId = null, includeLast = false, forceRefresh = false) {
     try {
@@ -700,18 +842,32 @@ async function fetchComments(entityId, lastCommentId = null, includeLast = false
             token, 
             entityId, 
             cid,
+            sort: getThreadSort(),
             ...(lastCommentId && { lastCommentId }),
             ...(includeLast && { includeLast }),
             ...(forceRefresh && { forceRefresh })
         };
 
+        // A new first page replaces whatever thread was still loading
+        if (!lastCommentId) {
+            cancelThreadLoad();
+            liveComments.clear();
+            updateNewCommentsPill();
+            workerInstance.postMessage({ action: 'subscribeThread', payload: { token, entityId, cid } });
+        }
+
+        const id = workerInstance.nextId();
+
         // Delay request slightly to allow animation to play
-        UtilsModule.startTimeout(() => {
+        const timeoutId = UtilsModule.startTimeout(() => {
             workerInstance.postMessage({ 
                 action: 'getComments', 
-                payload 
+                payload,
+                id
             });
         }, 300);
+
+        pendingThreadLoad = { id, timeoutId };
     } catch (error) {
         handleError(error, 'CommentsModule.fetchComments');
     }
@@ -857,6 +1013,7 @@ async function fetchDelComment(entityId, commentId) {
         
         // Remove comment from DOM immediately
         const commentContainer = UiModule.getCommentHeaderUI(commentId, true);
+        const author = getCommentAuthor(commentId);
         
         if (commentContainer) {
             commentContainer.remove();
@@ -867,6 +1024,7 @@ async function fetchDelComment(entityId, commentId) {
             token, 
             entityId, 
             commentId, 
+            author,
             cid 
         };
         
@@ -1017,6 +1175,7 @@ async function fetchCommentLike(entityId, commentId, liked) {
             entityId, 
             commentId, 
             liked, 
+            author: getCommentAuthor(commentId),
             cid 
         };
         
@@ -1294,6 +1453,7 @@ function createCommentElement(comment, entity, isReply) {
 
 
         commentText.appendChild(comment.processedText.cloneNode(true));
+        LinksModule.hydrateLinkPreviews(commentText);
 
         // Add elements to main container
         commentElement.appendChild(commentHeader);
@@ -1575,8 +1735,14 @@ function renderComments(payload) {
             ?.querySelector('.quelora-loading-message')
             ?.remove();
 
+        if (!payload.commentId) pendingThreadLoad = null;
+
         renderCommentList(payload.entity, payload.comments.list, threadsContainer);
 
+        // Page from the last comment the server sent: comments inserted locally
+        // (own, live) are not in the active sort's order
+        const pageCursor = payload.comments.list[payload.comments.list.length - 1]?._id;
+
         if (payload.comments.hasMore) {
             const loadMoreLink = UiModule.createElementUI({
                 tag: 'a',
@@ -1593,7 +1759,7 @@ function renderComments(payload) {
                     event.preventDefault();
                     const comments = threadsContainer.querySelectorAll('.community-thread .comment-header');
                     const lastComment = comments[comments.length - 1];
-                    const lastCommentId = lastComment?.getAttribute('data-comment-id');
+                    const lastCommentId = pageCursor || lastComment?.getAttribute('data-comment-id');
                     
                     if (threadsContainer.classList.contains('comment-replies')) {
                         const commentId = threadsContainer.getAttribute('data-reply-id');
@@ -1610,11 +1776,313 @@ function renderComments(payload) {
 
             threadsContainer.appendChild(loadMoreLink);
         }
+
+        showDraftReplyHeader();
     } catch (error) {
         handleError(error, 'CommentsModule.renderComments');
     }
 }
 
+/**
+ * Replaces the first page of an open thread with fresher data, after a stale
+ * cached copy was already rendered
+ * @param {Object} payload - Comments data payload, as in renderComments
+ */
+function refreshComments(payload) {
+    try {
+        const threadsContainer = UiModule.getCommunityThreadsUI();
+        if (!threadsContainer || threadsContainer.getAttribute('data-threads-entity') !== payload.entity) {
+            return;
+        }
+
+        storedComments.clear();
+        storedRenderedComments.clear();
+        cleanupVisibilityObservers();
+        setupVisibilityObservers();
+        threadsContainer.replaceChildren();
+
+        renderComments(payload);
+    } catch (error) {
+        handleError(error, 'CommentsModule.refreshComments');
+    }
+}
+
+// ==================== DRAFTS ====================
+
+/**
+ * Saves the pending draft now instead of waiting for the debounce
+ */
+function flushDraft() {
+    if (!pendingDraft) return;
+
+    const { entityId, replyId, text } = pendingDraft;
+    pendingDraft = null;
+    DraftsModule.saveDraft(entityId, replyId, text);
+}
+
+/**
+ * Queues the comment input's text to be saved as the draft of its entity and reply target
+ */
+function handleDraftInput() {
+    const commentInput = UiModule.getCommentInputUI();
+    if (!commentInput || !draftEntityId) return;
+
+    pendingDraft = {
+        entityId: draftEntityId,
+        replyId: commentInput.getAttribute('data-reply-id'),
+        text: commentInput.value
+    };
+    persistDraft?.();
+}
+
+/**
+ * Hands the comment input over to an entity's thread: the text typed for the
+ * previous entity is saved, and the draft saved last for this one (comment or
+ * reply) is put back, with its reply target
+ * @param {string} entityId - The entity whose thread is opening
+ */
+function restoreDraft(entityId) {
+    try {
+        const commentInput = UiModule.getCommentInputUI();
+        if (!commentInput || entityId === draftEntityId) return;
+
+        flushDraft();
+        draftEntityId = entityId;
+
+        const draft = DraftsModule.getLatestDraft(entityId);
+        UiModule.removeHeaderUI();
+        commentInput.removeAttribute('data-reply-id');
+        commentInput.value = draft?.text || '';
+
+        if (draft?.replyId) {
+            commentInput.setAttribute('data-reply-id', draft.replyId);
+            UtilsModule.setInputLimit(
+                UtilsModule.getConfig(entityId)?.limits?.reply_text
+            );
+            showDraftReplyHeader();
+        }
+        ProgressInput("quelora-input", "quelora-input-bar");
+    } catch (error) {
+        handleError(error, 'CommentsModule.restoreDraft');
+    }
+}
+
+/**
+ * Shows the reply header of a restored reply draft once its target comment is rendered
+ */
+function showDraftReplyHeader() {
+    const replyId = UiModule.getCommentInputUI()?.getAttribute('data-reply-id');
+    if (!replyId || document.querySelector('.comment-bar-container .reply-header')) return;
+
+    const commentHeader = UiModule.getCommunityThreadsUI()
+        ?.querySelector(`.comment-header[data-comment-id="${CSS.escape(replyId)}"]`);
+    if (commentHeader) UiModule.addReplyHeaderUI(commentHeader, replyId);
+}
+
+/**
+ * Moves the draft along with the input's text when the reply target changes.
+ * An empty input picks up the draft already saved for the new target instead.
+ * @param {string|null} previousReplyId - The comment replied to until now
+ * @param {string|null} replyId - The comment now being replied to
+ */
+function retargetDraft(previousReplyId, replyId) {
+    const commentInput = UiModule.getCommentInputUI();
+    if (!commentInput || !draftEntityId || (previousReplyId || null) === (replyId || null)) return;
+
+    flushDraft();
+    const saved = DraftsModule.getDraft(draftEntityId, replyId);
+
+    if (!commentInput.value.trim() && saved) {
+        commentInput.value = saved;
+        return;
+    }
+
+    DraftsModule.clearDraft(draftEntityId, previousReplyId);
+    DraftsModule.saveDraft(draftEntityId, replyId, commentInput.value);
+}
+
+/**
+ * Drops the draft of the current reply target, when the user cancels it
+ */
+function discardDraft() {
+    const commentInput = UiModule.getCommentInputUI();
+    if (!commentInput || !draftEntityId) return;
+
+    pendingDraft = null;
+    DraftsModule.clearDraft(draftEntityId, commentInput.getAttribute('data-reply-id'));
+}
+
+/**
+ * Clears the draft a created comment was sent from. A draft edited since
+ * (the user kept typing) is left alone.
+ * @param {Object} payload - The createComment payload: { entityId, replyId, comment }
+ */
+function clearSubmittedDraft(payload) {
+    try {
+        if (!payload?.entityId) return;
+
+        const matches = (text) => text?.trim() === payload.comment;
+        if (pendingDraft?.entityId === payload.entityId && (pendingDraft.replyId || null) === (payload.replyId || null)) {
+            if (!matches(pendingDraft.text)) return;
+            pendingDraft = null;
+        }
+
+        if (matches(DraftsModule.getDraft(payload.entityId, payload.replyId))) {
+            DraftsModule.clearDraft(payload.entityId, payload.replyId);
+        }
+    } catch (error) {
+        handleError(error, 'CommentsModule.clearSubmittedDraft');
+    }
+}
+
+// ==================== LIVE UPDATES ====================
+
+/**
+ * Finds the rendered thread element of a comment
+ * @param {HTMLElement} container - Container to search
+ * @param {string} commentId - The comment ID
+ * @returns {HTMLElement|null}
+ */
+const findThreadElement = (container, commentId) =>
+    container.querySelector(`.comment-header[data-comment-id="${commentId}"]`)?.closest('.community-thread') || null;
+
+/**
+ * Shows or refreshes the "N new comments" pill above the thread
+ */
+function updateNewCommentsPill() {
+    const threadsContainer = UiModule.getCommunityThreadsUI();
+    if (!threadsContainer) return;
+
+    let pill = threadsContainer.parentElement?.querySelector('.quelora-new-comments-pill');
+
+    if (!liveComments.size) {
+        pill?.remove();
+        return;
+    }
+
+    if (!pill) {
+        pill = UiModule.createElementUI({
+            tag: 'button',
+            classes: 'quelora-new-comments-pill',
+            attributes: { type: 'button' }
+        });
+        pill.append(
+            UiModule.createElementUI({ tag: 'span', classes: 'pill-count' }),
+            ' ',
+            UiModule.createElementUI({ tag: 'span', content: '{{newComments}}', translate: true })
+        );
+        pill.addEventListener('click', showLiveComments);
+        threadsContainer.before(pill);
+    }
+
+    pill.querySelector('.pill-count').textContent = UtilsModule.formatNumberAbbreviated(liveComments.size);
+}
+
+/**
+ * Inserts the comments waiting behind the pill at the top of the thread
+ */
+function showLiveComments() {
+    try {
+        const threadsContainer = UiModule.getCommunityThreadsUI();
+        if (!threadsContainer) return;
+
+        liveComments.forEach((payload) => {
+            threadsContainer.insertBefore(createCommentElement(payload.comment, payload.entityId, false), threadsContainer.firstChild);
+        });
+
+        liveComments.clear();
+        updateNewCommentsPill();
+        threadsContainer.closest('.drawer-content')?.scrollTo({ top: 0, behavior: 'smooth' });
+    } catch (error) {
+        handleError(error, 'CommentsModule.showLiveComments');
+    }
+}
+
+/**
+ * Applies a comment created or edited by someone else in the open thread.
+ * Top-level comments wait behind the pill; replies and edits land in place.
+ * @param {Object} payload - { entityId, comment, replyId, isEdit }
+ */
+function receiveLiveComment(payload) {
+    try {
+        const threadsContainer = UiModule.getCommunityThreadsUI();
+        const comment = payload.comment;
+        if (!comment?._id || threadsContainer?.getAttribute('data-threads-entity') !== payload.entityId) return;
+
+        const existing = findThreadElement(threadsContainer, comment._id);
+
+        if (payload.isEdit) {
+            if (!existing) return;
+            storedRenderedComments.delete(comment._id);
+            existing.replaceWith(createCommentElement(comment, payload.entityId, Boolean(existing.closest('.comment-replies'))));
+            return;
+        }
+
+        if (existing || liveComments.has(comment._id)) return;
+
+        UiModule.updateCommentCountUI(payload.entityId, true);
+
+        if (payload.replyId) {
+            threadsContainer
+                .querySelector(`.comment-replies[data-reply-id="${payload.replyId}"]`)
+                ?.appendChild(createCommentElement(comment, payload.entityId, true));
+            return;
+        }
+
+        liveComments.set(comment._id, payload);
+        updateNewCommentsPill();
+    } catch (error) {
+        handleError(error, 'CommentsModule.receiveLiveComment');
+    }
+}
+
+/**
+ * Reconciles the user's own new comment with the live stream, which may have
+ * delivered it before the create request returned.
+ * @param {Object} payload - commentCreated payload
+ * @returns {boolean} True when the comment was already counted and needs no further handling
+ */
+function claimLiveComment(payload) {
+    try {
+        const commentId = payload.comment?._id;
+        if (!commentId || payload.isEdit) return false;
+
+        if (liveComments.delete(commentId)) {
+            updateNewCommentsPill();
+            UiModule.updateCommentUI(payload.entityId, payload);
+            return true;
+        }
+
+        return Boolean(UiModule.getCommentHeaderUI(commentId));
+    } catch (error) {
+        handleError(error, 'CommentsModule.claimLiveComment');
+        return false;
+    }
+}
+
+/**
+ * Removes a comment deleted by someone else from the open thread
+ * @param {Object} payload - { entityId, commentId }
+ */
+function removeLiveComment(payload) {
+    try {
+        if (liveComments.delete(payload.commentId)) {
+            updateNewCommentsPill();
+            UiModule.updateCommentCountUI(payload.entityId, false);
+            return;
+        }
+
+        const threadsContainer = UiModule.getCommunityThreadsUI();
+        const element = threadsContainer && findThreadElement(threadsContainer, payload.commentId);
+        if (!element) return;
+
+        element.remove();
+        UiModule.updateCommentCountUI(payload.entityId, false);
+    } catch (error) {
+        handleError(error, 'CommentsModule.removeLiveComment');
+    }
+}
+
 /**
  * Renders nested comments with retry logic
  * @param {Object} nestedData - Nested comments data
@@ -1885,6 +2353,9 @@ async function submitComment() {
         const commentText = commentInput.value.trim();
         if (!commentText) return;
 
+        // Kept until commentCreated, in case sending needs a login round-trip
+        flushDraft();
+
         const replyId = commentInput.getAttribute('data-reply-id');
         const threadsContainer = UiModule.getCommunityThreadsUI();
         const currentEntity = threadsContainer?.getAttribute('data-threads-entity');
@@ -2024,6 +2495,7 @@ async function attachCommentEventListeners(commentElement, comment, entity) {
                 const commentInput = UiModule.getCommentInputUI();
                 const commentHeader = event.target.closest('.community-thread')?.querySelector('.comment-header');
                 if (commentInput && commentHeader) {
+                    retargetDraft(commentInput.getAttribute('data-reply-id'), replyId);
                     commentInput.setAttribute('data-reply-id', replyId);
                     UiModule.addReplyHeaderUI(commentHeader, replyId);
                     commentInput.focus();
@@ -2132,11 +2604,12 @@ async function updateAllCommentLikes() {
 
 /**
  * Processes a DocumentFragment containing raw comment text. It orchestrates
- * the decoding of HTML entities, conversion of markdown quotes, replacement
- * of Giphy links, and the creation of hyperlinks from URLs.
+ * the decoding of HTML entities, conversion of markdown blocks (code, lists,
+ * quotes) and inline formatting, replacement of Giphy links, and the creation
+ * of hyperlinks from URLs. Every node is built with the DOM API, never innerHTML.
  * @param {DocumentFragment} fragment The input fragment containing raw text nodes.
  * @returns {DocumentFragment} A new fragment with enriched content, including
- * <blockquote>, <img>, and <a> tags.
+ * <blockquote>, <pre>, <ul>, <strong>, <img>, and <a> tags.
  */
 function enrichCommentText(fragment) {
   if (!fragment || !(fragment instanceof DocumentFragment)) {
@@ -2148,10 +2621,10 @@ function enrichCommentText(fragment) {
   Array.from(fragment.childNodes).forEach((child) => {
     if (child.nodeType === Node.TEXT_NODE) {
       const decodedText = decodeHtmlEntities(child.textContent);
-      const quotedFragment = convertMarkdownQuotes(decodedText);
+      const blocksFragment = convertMarkdownBlocks(decodedText);
 
-      // Process the fragment with quotes to add GIFs and links
-      Array.from(quotedFragment.childNodes).forEach(node => {
+      // Process the fragment with blocks to add formatting, GIFs and links
+      Array.from(blocksFragment.childNodes).forEach(node => {
         // The logic is applied both to text nodes and blockquote contents
         const processNodeContent = (textContent) => {
           const finalFragment = document.createDocumentFragment();
@@ -2169,14 +2642,18 @@ function enrichCommentText(fragment) {
           });
           return finalFragment;
         };
+        const processInline = (textContent) => renderInlineMarkdown(textContent, processNodeContent);
 
         if (node.nodeType === Node.TEXT_NODE) {
-          newFragment.appendChild(processNodeContent(node.textContent));
+          newFragment.appendChild(processInline(node.textContent));
         } else if (node.nodeName === 'BLOCKQUOTE') {
-          const processedContent = processNodeContent(node.textContent);
+          const processedContent = processInline(node.textContent);
           node.textContent = ''; // Clear the original content
           node.appendChild(processedContent);
           newFragment.appendChild(node);
+        } else if (node.nodeName === 'UL') {
+          Array.from(node.children).forEach(item => item.replaceChildren(processInline(item.textContent)));
+          newFragment.appendChild(node);
         } else {
           newFragment.appendChild(node.cloneNode(true));
         }
@@ -2192,6 +2669,9 @@ function enrichCommentText(fragment) {
 /**
  * Scans a string for URLs (both standalone and markdown-style) and
  * converts them into HTML anchor (<a>) elements with security attributes.
+ * Links show their full hostname, and follow the domain policy of
+ * LinksModule: denied domains stay plain text, and links to domains off the
+ * allowlist are marked to open behind a warning.
  * @param {string} text The plain text to search for links.
  * @returns {DocumentFragment} A fragment containing the text with URLs
  * replaced by clickable links.
@@ -2207,14 +2687,33 @@ function linkifyWithWarning(text) {
     if (match.index > lastIndex) {
       fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
     }
-    const url = match[2] || match[3];
-    const cleanUrl = url.split("#")[0].split("?")[0];
-    const link = document.createElement("a");
-    link.href = cleanUrl;
-    link.target = "_blank";
-    link.rel = "noopener noreferrer";
-    link.textContent = "🔗 " + (typeof I18n !== 'undefined' ? I18n.getTranslation("openLink") : "Open link");
-    fragment.appendChild(link);
+
+    // Sentence punctuation right after a bare URL is not part of it
+    const trailing = match[3]?.match(/[.,;:!?)]+$/)?.[0] || '';
+    const url = match[2] || match[3].slice(0, match[3].length - trailing.length);
+    const policy = LinksModule.getLinkPolicy(url);
+    let hostname = '';
+    try {
+      hostname = new URL(url).hostname;
+    } catch {
+      hostname = '';
+    }
+
+    if (!hostname || policy === 'deny') {
+      fragment.appendChild(document.createTextNode(match[1] || match[0]));
+    } else {
+      const link = document.createElement("a");
+      link.href = url;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer nofollow ugc";
+      link.title = url;
+      link.className = "quelora-link";
+      link.dataset.linkPolicy = policy;
+      link.dataset.linkPreview = "";
+      link.textContent = "🔗 " + (match[1] ? `${match[1]} (${hostname})` : hostname);
+      fragment.appendChild(link);
+      if (trailing) fragment.appendChild(document.createTextNode(trailing));
+    }
     lastIndex = regex.lastIndex;
   }
   if (lastIndex < text.length) {
@@ -2309,10 +2808,136 @@ function convertMarkdownQuotes(text) {
   return fragment;
 }
 
+/**
+ * Parses the block-level markdown subset: lines between ``` fences become a
+ * <pre><code> block and runs of "- " or "* " lines become a <ul>. The other
+ * lines go through convertMarkdownQuotes. An unclosed fence stays plain text.
+ * @param {string} text The text to parse for markdown blocks.
+ * @returns {DocumentFragment} A fragment containing <pre>, <ul> and
+ * <blockquote> elements, and text nodes for the remaining lines.
+ */
+function convertMarkdownBlocks(text) {
+  const fragment = document.createDocumentFragment();
+  const lines = text.split(/\r?\n/);
+  const fenceRegex = /^\s*```\s*([\w#+.-]*)\s*$/;
+  const listItemRegex = /^\s*[-*•]\s+(.*)$/;
+  let plainLines = [];
+
+  const appendBlock = (block) => {
+    if (fragment.childNodes.length) fragment.appendChild(document.createTextNode('\n'));
+    fragment.appendChild(block);
+  };
+
+  const flushPlainLines = () => {
+    if (!plainLines.length) return;
+    appendBlock(convertMarkdownQuotes(plainLines.join('\n')));
+    plainLines = [];
+  };
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const fence = line.match(fenceRegex);
+    const closing = fence ? lines.findIndex((candidate, i) => i > index && /^\s*```\s*$/.test(candidate)) : -1;
+
+    if (closing > -1) {
+      flushPlainLines();
+      const pre = document.createElement('pre');
+      const code = document.createElement('code');
+      pre.className = 'quelora-code-block';
+      if (fence[1]) code.dataset.language = fence[1];
+      code.textContent = lines.slice(index + 1, closing).join('\n');
+      pre.appendChild(code);
+      appendBlock(pre);
+      index = closing;
+    } else if (listItemRegex.test(line)) {
+      flushPlainLines();
+      const list = document.createElement('ul');
+      while (index < lines.length && listItemRegex.test(lines[index])) {
+        const item = document.createElement('li');
+        item.textContent = lines[index].match(listItemRegex)[1];
+        list.appendChild(item);
+        index++;
+      }
+      index--;
+      appendBlock(list);
+    } else {
+      plainLines.push(line);
+    }
+  }
+  flushPlainLines();
+
+  return fragment;
+}
+
+/**
+ * Applies the inline markdown subset to a single line: `code`, **bold**,
+ * *italic* or _italic_, ~~strikethrough~~ and ||spoiler||. Markers must hug
+ * their content, so stray asterisks in older comments stay as they were.
+ * URLs and Giphy embeds are matched first as whole tokens to keep their
+ * underscores intact, and handed to renderPlain with the unformatted text.
+ * @param {string} text The line to format.
+ * @param {Function} renderPlain Builds the nodes for unformatted text.
+ * @returns {DocumentFragment} A fragment with <code>, <strong>, <em>, <s>
+ * and spoiler <span> elements around the rendered text.
+ */
+function renderInlineMarkdown(text, renderPlain) {
+  const fragment = document.createDocumentFragment();
+  let lastIndex = 0;
+
+  // Groups: 1-2 code, 3 spoiler, 4 bold, 5 strike, 6-8 italic (preceding char, marker, content)
+  const regex = /(`+)(?!`)(.*?[^`])\1(?!`)|\|\|(?=\S)(.*?\S)\|\||\*\*(?=\S)(.*?\S)\*\*|~~(?=\S)(.*?\S)~~|(^|[^\w*_])([*_])(?=[^\s*_])(.*?[^\s*_])\7(?![\w*_])|!?\[[^\]]*\]\([^\s)]+\)|https?:\/\/[^\s<]+/g;
+
+  const wrap = (tag, content) => {
+    const element = document.createElement(tag);
+    element.appendChild(renderInlineMarkdown(content, renderPlain));
+    return element;
+  };
+
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    const [token, , code, spoiler, bold, strike, italicPrefix = '', , italic] = match;
+    const start = match.index + italicPrefix.length;
+
+    if (start > lastIndex) {
+      fragment.appendChild(renderPlain(text.slice(lastIndex, start)));
+    }
+
+    if (code !== undefined) {
+      const element = document.createElement('code');
+      element.textContent = code;
+      fragment.appendChild(element);
+    } else if (spoiler !== undefined) {
+      const element = wrap('span', spoiler);
+      element.className = 'quelora-spoiler';
+      element.tabIndex = 0;
+      element.setAttribute('role', 'button');
+      fragment.appendChild(element);
+    } else if (bold !== undefined) {
+      fragment.appendChild(wrap('strong', bold));
+    } else if (strike !== undefined) {
+      fragment.appendChild(wrap('s', strike));
+    } else if (italic !== undefined) {
+      fragment.appendChild(wrap('em', italic));
+    } else {
+      fragment.appendChild(renderPlain(token));
+    }
+    lastIndex = regex.lastIndex;
+  }
+
+  if (lastIndex < text.length) {
+    fragment.appendChild(renderPlain(text.slice(lastIndex)));
+  }
+
+  return fragment;
+}
+
 // ==================== PUBLIC API ====================
 const CommentsModule = {
     initializeComments,
+    destroyComments,
     fetchComments,
+    getThreadSort,
+    setThreadSort,
     fetchNested,
     fetchAudio,
     attachCommentInputListener,
@@ -2320,7 +2945,15 @@ const CommentsModule = {
     fetchDelComment,
     fetchEditComment,
     createCommentElement,
+    enrichCommentText,
+    restoreDraft,
+    discardDraft,
+    clearSubmittedDraft,
     renderComments,
+    refreshComments,
+    receiveLiveComment,
+    claimLiveComment,
+    removeLiveComment,
     renderNestedComments,
     renderTranslate,
     setToken,
@@ -32,40 +32,34 @@
  * along with this program. If not, see <https://www.gnu.org/licenses/>.
  */
 
+import ConfSchema from './confSchema.js';
+import StorageModule from './storage.js';
+
 // ==================== PRIVATE VARIABLES ====================
 /** @type {Object} Current configuration object */
 let config = {};
 /** @type {boolean} Tracks initialization status */
 let isInitialized = false;
+/** @type {Object} Values applied through updateConfig, kept on top of every re-read */
+let runtimeConfig = {};
+/** @type {HTMLScriptElement|null} Script tag that loaded the widget */
+const loaderScript = typeof document !== 'undefined' ? document.currentScript : null;
+/** @type {Array<Object>} Problems found by the last validations */
+let diagnostics = [];
+/** @type {Set<string>} Problems already printed, so re-reads do not repeat them */
+const reportedIssues = new Set();
+/** @type {Map<string, Object>} Verified configurations delivered by the API, by client and key cache key */
+const remoteConfigs = new Map();
+/** @type {Map<string, Promise<boolean>>} Cached documents being verified, by cache key */
+const remoteRestores = new Map();
+/** @type {Array<{source: string, values: Object}>} Layers below the runtime updates, lowest first */
+let layers = [];
+/** @type {Map<string, Set<Function>>} Change listeners by key path */
+const changeListeners = new Map();
 
 // ==================== DEFAULT CONFIGURATION ====================
-/** @type {Object} Default configuration values */
-const DEFAULT_CONFIG = {
-    cid: null,
-    apiUrl: "https://quelora.localhost.ar:444",
-    login: {
-        baseUrl: "https://quelora.localhost.ar",
-        providers: ["Default"],
-        providerDetails: {
-            Default: {
-                clientId: "default-client-id"
-            }
-        }
-    },
-    audio: {
-        enable_mic_transcription: false,
-        save_comment_audio: false,
-        max_recording_seconds: 30
-    },
-    geolocation: {
-        enabled: false,
-        provider: "none"
-    },
-    vapid: {
-        publicKey: "default-public-key",
-        iconBase64: "data:image/png;base64,default-icon"
-    }
-};
+/** @type {Object} Default configuration values, taken from the schema */
+const DEFAULT_CONFIG = ConfSchema.getDefaults();
 
 // ==================== HELPERS ====================
 /**
@@ -89,7 +83,7 @@ const deepMerge = (target, source) => {
     const output = { ...target };
     
     for (const key in source) {
-        if (source[key] instanceof Object && key in target) {
+        if (source[key] instanceof Object && !Array.isArray(source[key]) && target[key] instanceof Object) {
             output[key] = deepMerge(target[key], source[key]);
         } else {
             output[key] = source[key];
@@ -111,24 +105,333 @@ const getValueFromConfig = (keyPath, configObj, defaultValue) => {
     let value = configObj;
     
     for (const key of keys) {
-        if (value[key] === undefined) return defaultValue;
+        if (value?.[key] === undefined) return defaultValue;
         value = value[key];
     }
     
     return value !== undefined ? value : defaultValue;
 };
 
+/**
+ * Validates a configuration fragment against the schema, prints new problems
+ * and notifies the development panel through `quelora:config-diagnostics`.
+ * Values are not altered; invalid ones still reach the modules.
+ * @param {Object} fragment - Configuration or fragment to check
+ * @param {string} source - Where the fragment comes from
+ */
+const reportDiagnostics = (fragment, source) => {
+    const issues = ConfSchema.validate(fragment).map(issue => ({ ...issue, source }));
+    if (!issues.length) return;
+
+    const fresh = issues.filter(issue => {
+        const signature = `${issue.path}|${issue.message}`;
+        if (reportedIssues.has(signature)) return false;
+        reportedIssues.add(signature);
+        return true;
+    });
+    if (!fresh.length) return;
+
+    diagnostics = [...diagnostics, ...fresh];
+    fresh.forEach(issue => console.warn(`[Quelora config] ${ConfSchema.formatIssue(issue)} (${source})`));
+
+    if (typeof document !== 'undefined') {
+        document.dispatchEvent(new CustomEvent('quelora:config-diagnostics', { detail: { issues: fresh } }));
+    }
+};
+
+/**
+ * Calls the listeners whose key path changed between two configurations.
+ * @param {Object} previous - Configuration before the change
+ */
+const notifyChanges = (previous) => {
+    changeListeners.forEach((listeners, keyPath) => {
+        const before = keyPath ? getValueFromConfig(keyPath, previous, undefined) : previous;
+        const after = keyPath ? getValueFromConfig(keyPath, config, undefined) : config;
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        listeners.forEach(listener => {
+            try {
+                listener(after, before, keyPath);
+            } catch (error) {
+                console.error(`Error in config listener for ${keyPath || '(root)'}:`, error);
+            }
+        });
+    });
+};
+
+// ==================== DECLARATIVE SOURCES ====================
+const ATTRIBUTE_PREFIX = 'data-quelora-';
+
+const toCamelCase = (segment) => segment.replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase());
+
+/**
+ * Parses an attribute value as JSON when possible, so "true", "3" or "{...}"
+ * keep their type. An empty attribute means true.
+ * @param {string} value - Raw attribute value
+ * @returns {*} Parsed value
+ */
+const parseAttributeValue = (value) => {
+    if (value === '') return true;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+};
+
+/**
+ * Builds a configuration object from `data-quelora-*` attributes. Dots nest
+ * keys and kebab-case becomes camelCase, e.g.
+ * `data-quelora-network.realtime.enabled="true"` or `data-quelora-api-url="..."`.
+ * @param {Element} element - Element carrying the attributes
+ * @returns {Object} Configuration fragment
+ */
+const readDataAttributes = (element) => {
+    const result = {};
+    if (!element?.getAttributeNames) return result;
+
+    element.getAttributeNames()
+        .filter(name => name.startsWith(ATTRIBUTE_PREFIX))
+        .forEach(name => {
+            const keys = name.slice(ATTRIBUTE_PREFIX.length).split('.').filter(Boolean).map(toCamelCase);
+            if (!keys.length) return;
+
+            let target = result;
+            keys.slice(0, -1).forEach(key => {
+                if (!(target[key] instanceof Object)) target[key] = {};
+                target = target[key];
+            });
+            target[keys[keys.length - 1]] = parseAttributeValue(element.getAttribute(name));
+        });
+
+    return result;
+};
+
+/**
+ * Finds the loader script, falling back to the first script named quelora(.min).js.
+ * @returns {HTMLScriptElement|null}
+ */
+const findLoaderScript = () => {
+    if (loaderScript) return loaderScript;
+    return Array.from(document.scripts).find(script => /quelora(\.min)?\.js(\?.*)?$/.test(script.src)) || null;
+};
+
+/**
+ * Reads the `<script type="application/json" id="quelora-config">` block.
+ * @returns {Object} Parsed configuration or an empty object
+ */
+const readJsonBlock = () => {
+    const block = document.getElementById('quelora-config');
+    if (!block || block.type !== 'application/json') return {};
+
+    try {
+        return JSON.parse(block.textContent || '{}');
+    } catch (error) {
+        console.error('Invalid JSON in #quelora-config:', error);
+        return {};
+    }
+};
+
+/**
+ * Collects the page configuration sources, lowest precedence first:
+ * JSON block, loader script attributes, window.QUELORA_CONFIG.
+ * @returns {Array<{source: string, values: Object}>} Configuration fragments
+ */
+const readPageSources = () => {
+    if (typeof window === 'undefined') return [];
+
+    return [
+        { source: 'jsonBlock', values: readJsonBlock() },
+        { source: 'attributes', values: readDataAttributes(findLoaderScript()) },
+        { source: 'global', values: window.QUELORA_CONFIG || {} }
+    ];
+};
+
+// ==================== REMOTE CONFIGURATION ====================
+/**
+ * Keys the remote document cannot set: they decide which document is
+ * fetched and how it is trusted, or what code is loaded.
+ */
+const LOCAL_ONLY_KEYS = ['cid', 'remoteConfig', 'workerPath'];
+
+/**
+ * Short FNV-1a hash, so a public key can be part of a storage key.
+ * @param {string} value - Value to hash
+ * @returns {string} Base 36 hash
+ */
+const hashValue = (value) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+};
+
+/**
+ * Storage key of a remote configuration. The public key is part of it, so
+ * a document cached under a rotated key is never read again.
+ * @param {string} cid - Client ID
+ * @param {string} publicKey - Base64 SPKI public key
+ * @returns {string}
+ */
+const getRemoteCacheKey = (cid, publicKey) =>
+    `quelora_remote_config_${String(cid).toUpperCase()}_${hashValue(String(publicKey || ''))}`;
+
+const base64ToBytes = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+/**
+ * Removes the local-only keys from a remote configuration.
+ * @param {Object} values - Remote configuration
+ * @returns {Object} Configuration that can be layered
+ */
+const sanitizeRemoteConfig = (values) => {
+    const sanitized = { ...(values instanceof Object ? values : {}) };
+    LOCAL_ONLY_KEYS.forEach(key => delete sanitized[key]);
+    return sanitized;
+};
+
+/**
+ * Reads the cached signed remote document if it has not expired.
+ * @param {string} cacheKey - Storage key from getRemoteCacheKey
+ * @returns {Object|null} Cached `{ payload, signature }` document
+ */
+const readCachedRemoteDocument = (cacheKey) => {
+    if (typeof localStorage === 'undefined') return null;
+
+    try {
+        const cached = JSON.parse(StorageModule.getLocalItem(cacheKey) || 'null');
+        if (!cached || Date.now() > cached.expiresAt) return null;
+        return cached.document || null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Checks the signature of a remote configuration document. The document is
+ * `{ payload, signature }`: `payload` is the JSON string `{ cid, expiresAt?, config }`
+ * and `signature` its base64 ECDSA P-256 / SHA-256 signature, checked against
+ * the base64 SPKI key in `remoteConfig.publicKey`.
+ * @param {Object} remoteDocument - Document returned by the API
+ * @param {string} publicKey - Base64 SPKI public key
+ * @param {string} cid - Client ID the document must be issued for
+ * @returns {Promise<{config: Object, expiresAt: number|null}>} Verified content
+ * @throws {Error} If the document is malformed, unsigned, expired or for another client
+ */
+const verifyRemoteDocument = async (remoteDocument, publicKey, cid) => {
+    if (!publicKey) throw new Error('remoteConfig.publicKey is required to verify the remote configuration');
+    if (typeof remoteDocument?.payload !== 'string' || typeof remoteDocument?.signature !== 'string') {
+        throw new Error('Malformed remote configuration document');
+    }
+
+    const key = await crypto.subtle.importKey(
+        'spki',
+        base64ToBytes(publicKey),
+        { name: 'ECDSA', namedCurve: 'P-256' },
+        false,
+        ['verify']
+    );
+    const valid = await crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        key,
+        base64ToBytes(remoteDocument.signature),
+        new TextEncoder().encode(remoteDocument.payload)
+    );
+    if (!valid) throw new Error('Invalid remote configuration signature');
+
+    const payload = JSON.parse(remoteDocument.payload);
+    if (String(payload.cid).toUpperCase() !== String(cid).toUpperCase()) {
+        throw new Error('Remote configuration was issued for another client');
+    }
+    if (payload.expiresAt && Date.now() > payload.expiresAt) {
+        throw new Error('Remote configuration has expired');
+    }
+
+    return { config: payload.config || {}, expiresAt: payload.expiresAt || null };
+};
+
+/**
+ * Places a remote configuration beneath the page sources and re-reads them.
+ * @param {string} cacheKey - Key of the client and public key it was verified for
+ * @param {Object} values - Verified remote configuration
+ */
+const applyRemoteConfig = (cacheKey, values) => {
+    const sanitized = sanitizeRemoteConfig(values);
+    remoteConfigs.set(cacheKey, sanitized);
+    reportDiagnostics(sanitized, 'remote');
+    autoInit();
+};
+
+/**
+ * Verifies the cached document again before layering it: the cache is as
+ * untrusted as the network. A document that fails is removed.
+ * @param {string} cid - Client ID
+ * @param {string} publicKey - Base64 SPKI public key
+ * @returns {Promise<boolean>} Whether a cached configuration was applied
+ */
+const restoreCachedRemoteConfig = (cid, publicKey) => {
+    const cacheKey = getRemoteCacheKey(cid, publicKey);
+    if (remoteRestores.has(cacheKey)) return remoteRestores.get(cacheKey);
+
+    const cached = readCachedRemoteDocument(cacheKey);
+    if (!cached) return Promise.resolve(false);
+
+    const restore = verifyRemoteDocument(cached, publicKey, cid)
+        .then(verified => {
+            if (!remoteConfigs.has(cacheKey)) applyRemoteConfig(cacheKey, verified.config);
+            return true;
+        })
+        .catch(error => {
+            console.warn('Discarding the cached remote configuration:', error);
+            StorageModule.removeLocalItem(cacheKey);
+            return false;
+        })
+        .finally(() => remoteRestores.delete(cacheKey));
+
+    remoteRestores.set(cacheKey, restore);
+    return restore;
+};
+
+/**
+ * Remote layer for the client the local sources name. Empty unless
+ * `remoteConfig.enabled`, so turning it off drops the layer. A cached
+ * document is only layered once verified, on a later recomposition.
+ * @param {Object} localConfig - Defaults, page sources and runtime updates merged
+ * @returns {Object} Remote configuration
+ */
+const getRemoteLayer = ({ cid, remoteConfig: settings } = {}) => {
+    if (!settings?.enabled || !cid) return {};
+
+    const key = getRemoteCacheKey(cid, settings.publicKey);
+    if (!remoteConfigs.has(key)) restoreCachedRemoteConfig(cid, settings.publicKey);
+    return remoteConfigs.get(key) || {};
+};
+
+/**
+ * Rebuilds the layers from the given page sources and merges them with the runtime updates.
+ * @param {Array<{source: string, values: Object}>} pageSources - Page layers, lowest first
+ * @returns {Object} Merged configuration
+ */
+const composeConfig = (pageSources) => {
+    const localConfig = [DEFAULT_CONFIG, ...pageSources.map(layer => layer.values), runtimeConfig].reduce(deepMerge, {});
+    layers = [
+        { source: 'default', values: DEFAULT_CONFIG },
+        { source: 'remote', values: getRemoteLayer(localConfig) },
+        ...pageSources
+    ];
+    return [...layers.map(layer => layer.values), runtimeConfig].reduce(deepMerge, {});
+};
+
 // ==================== AUTO-INITIALIZATION ====================
 /**
- * Initializes the module by merging global and default configurations.
+ * Initializes the module by merging, lowest precedence first, the default
+ * configuration, the remote configuration, the page sources and any runtime updates.
  */
 const autoInit = () => {
+    const previous = config;
     try {
-        const globalConfig = typeof window !== 'undefined' && window.QUELORA_CONFIG 
-            ? window.QUELORA_CONFIG 
-            : {};
-        
-        config = deepMerge(DEFAULT_CONFIG, globalConfig);
+        config = composeConfig(readPageSources());
+        reportDiagnostics(config, 'autoInit');
         
         if (!config.cid) {
             config.cid = DEFAULT_CONFIG.cid;
@@ -137,6 +440,7 @@ const autoInit = () => {
         
         isInitialized = true;
         console.debug('ConfModule auto-initialized successfully');
+        notifyChanges(previous);
     } catch (error) {
         handleError(error, 'ConfModule.autoInit');
         config = { ...DEFAULT_CONFIG };
@@ -146,6 +450,11 @@ const autoInit = () => {
 
 autoInit();
 
+// A JSON block placed after the loader script is only parsed later
+if (typeof document !== 'undefined' && document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', autoInit, { once: true });
+}
+
 // ==================== PUBLIC METHODS ====================
 /**
  * Gets a configuration value by key path.
@@ -167,6 +476,34 @@ const get = (keyPath, defaultValue = null) => {
     }
 };
 
+/**
+ * Gets a configuration value for a single element, typically a [data-entity]:
+ * its `data-quelora-*` attributes override the page configuration.
+ * @param {Element} element - Element with optional overrides
+ * @param {string} keyPath - Dot-notated key path
+ * @param {*} [defaultValue=null] - Fallback value
+ * @returns {*} Configuration value or default
+ */
+const getForElement = (element, keyPath, defaultValue = null) => {
+    const overrides = readDataAttributes(element);
+    if (!Object.keys(overrides).length) return get(keyPath, defaultValue);
+
+    try {
+        return getValueFromConfig(keyPath, deepMerge(config, overrides), defaultValue);
+    } catch (error) {
+        console.warn(`Failed to get element config for path: ${keyPath}`, error);
+        return get(keyPath, defaultValue);
+    }
+};
+
+/**
+ * Gets only the `data-quelora-*` overrides an element declares under a key path.
+ * @param {Element} element - Element with optional overrides
+ * @param {string} keyPath - Dot-notated key path
+ * @returns {Object} Overrides, or an empty object
+ */
+const getElementOverrides = (element, keyPath) => getValueFromConfig(keyPath, readDataAttributes(element), {});
+
 /**
  * Returns a deep copy of the current configuration.
  * @returns {Object} Current configuration
@@ -191,7 +528,15 @@ const updateConfig = (customConfig) => {
             autoInit();
         }
         
-        config = deepMerge(config, customConfig);
+        reportDiagnostics(customConfig, 'updateConfig');
+        runtimeConfig = deepMerge(runtimeConfig, customConfig);
+        const previous = config;
+        // Another client or remoteConfig setting selects another remote layer
+        const remoteChanged = customConfig?.cid !== undefined || customConfig?.remoteConfig !== undefined;
+        config = remoteChanged
+            ? composeConfig(layers.filter(layer => layer.source !== 'default' && layer.source !== 'remote'))
+            : deepMerge(config, customConfig);
+        notifyChanges(previous);
         return true;
     } catch (error) {
         handleError(error, 'ConfModule.updateConfig');
@@ -199,12 +544,107 @@ const updateConfig = (customConfig) => {
     }
 };
 
+/**
+ * Fetches the signed configuration document for this client, unless a cached
+ * copy is still fresh and verifies, and layers it beneath the page configuration. Enabled
+ * with `remoteConfig.enabled`; failures keep the page configuration.
+ * @returns {Promise<boolean>} Whether a remote configuration is in use
+ */
+const loadRemoteConfig = async () => {
+    const settings = get('remoteConfig', {});
+    const cid = get('cid');
+    if (!settings.enabled || !cid) return false;
+
+    const cacheKey = getRemoteCacheKey(cid, settings.publicKey);
+    if (remoteConfigs.has(cacheKey) || await restoreCachedRemoteConfig(cid, settings.publicKey)) return true;
+
+    try {
+        const url = settings.url || `${get('apiUrl')}/client/config`;
+        const response = await fetch(url, {
+            headers: { 'X-Client-Id': cid },
+            signal: AbortSignal.timeout(settings.timeout || 3000)
+        });
+        if (!response.ok) throw new Error(`Remote configuration request failed with status ${response.status}`);
+
+        const remoteDocument = await response.json();
+        const verified = await verifyRemoteDocument(remoteDocument, settings.publicKey, cid);
+        const storedAt = Date.now();
+        const expiresAt = Math.min(storedAt + (settings.ttl || 3600000), verified.expiresAt || Infinity);
+        StorageModule.setLocalItem(cacheKey, JSON.stringify({
+            storedAt,
+            expiresAt,
+            document: { payload: remoteDocument.payload, signature: remoteDocument.signature }
+        }));
+
+        applyRemoteConfig(cacheKey, verified.config);
+        return true;
+    } catch (error) {
+        console.warn('Remote configuration unavailable, using the page configuration:', error);
+        return remoteConfigs.has(cacheKey);
+    }
+};
+
+/**
+ * Tells which layer a configuration value comes from.
+ * @param {string} keyPath - Dot-notated key path
+ * @returns {'runtime'|'global'|'attributes'|'jsonBlock'|'remote'|'default'|null} Layer, or null if unset
+ */
+const getSource = (keyPath) => {
+    if (getValueFromConfig(keyPath, runtimeConfig, undefined) !== undefined) return 'runtime';
+
+    for (let i = layers.length - 1; i >= 0; i--) {
+        if (getValueFromConfig(keyPath, layers[i].values, undefined) !== undefined) return layers[i].source;
+    }
+    return null;
+};
+
+/**
+ * Subscribes to changes of a configuration value, whether they come from
+ * updateConfig or from a later read of the page sources.
+ * @param {string} keyPath - Dot-notated key path, or '' for any change
+ * @param {Function} listener - Receives (value, previousValue, keyPath)
+ * @returns {Function} Unsubscribe function
+ */
+const onChange = (keyPath, listener) => {
+    if (!changeListeners.has(keyPath)) changeListeners.set(keyPath, new Set());
+    changeListeners.get(keyPath).add(listener);
+
+    return () => {
+        const listeners = changeListeners.get(keyPath);
+        listeners?.delete(listener);
+        if (listeners && !listeners.size) changeListeners.delete(keyPath);
+    };
+};
+
+/**
+ * Discards runtime updates and remote layers and reads the page sources again.
+ */
+const reset = () => {
+    isInitialized = false;
+    runtimeConfig = {};
+    remoteConfigs.clear();
+    layers = [];
+    diagnostics = [];
+    reportedIssues.clear();
+    autoInit();
+};
+
 // ==================== PUBLIC API ====================
 /** @type {Object} Public API for configuration management */
 const ConfModule = {
     get,
+    getForElement,
+    getElementOverrides,
     getAll,
     updateConfig,
+    onChange,
+    loadRemoteConfig,
+    getSource,
+    reset,
+    /** @returns {Array<Object>} Problems found while validating the configuration */
+    getDiagnostics: () => diagnostics.map(issue => ({ ...issue })),
+    /** @returns {Object} Configuration schema */
+    getSchema: () => ConfSchema.SCHEMA,
     /** @returns {boolean} Initialization status */
     isInitialized: () => isInitialized,
     /** @returns {Object} Deep copy of default configuration */
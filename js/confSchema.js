@@ -0,0 +1,383 @@
+/*!
+ * QUELORA – Real-time interaction platform for websites
+ * 
+ * @author German Zelaya
+ * @version 1.0.0
+ * @since 2025
+* @license Licensed under the GNU Affero General Public License v3.0
+ * 
+ * Copyright (C) 2025 German Zelaya
+ * 
+ * QUELORA is an open-source platform designed to add real-time comments,
+ * posts, and reactions to websites. Its lightweight widget (~170KB uncompressed)
+ * integrates easily into any page without the need for frameworks like React
+ * or jQuery. It includes support for AI-powered automated moderation,
+ * engagement analytics, and a multi-tenant dashboard to manage multiple sites
+ * from a single interface.
+ * 
+ * This script is part of the QUELORA project, available at:
+ * https://www.quelora.org/
+ * 
+ * This program is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+// ==================== SCHEMA ====================
+/**
+ * Every configuration key the widget reads. Nodes take:
+ * - type: 'string' | 'number' | 'boolean' | 'array' | 'object' | 'function' | 'null' (or an array of them)
+ * - enum / pattern: allowed values
+ * - default: value used when the page does not provide one
+ * - properties: known child keys of an object
+ * - additionalProperties: true for free-form objects, or a schema every extra value must match
+ * - items: schema of array entries
+ */
+const number = (defaultValue) => ({ type: 'number', default: defaultValue });
+const boolean = (defaultValue) => ({ type: 'boolean', default: defaultValue });
+
+/** One entry of `entityConfig`, which takes a single rule or an array of them */
+const ENTITY_RULE = {
+    name: { type: 'string' },
+    priority: { type: 'number' },
+    selector: { type: 'string' },
+    entityIdAttribute: { type: 'string' },
+    entityId: { type: 'function' },
+    interactionPlacement: {
+        type: 'object',
+        properties: {
+            position: { type: 'string', enum: ['inside', 'before', 'after', 'replace'] },
+            relativeTo: { type: 'string' }
+        }
+    },
+    features: {
+        type: 'object',
+        properties: {
+            likes: { type: 'boolean' },
+            shares: { type: 'boolean' },
+            comments: { type: 'boolean' },
+            bookmarks: { type: 'boolean' },
+            replies: { type: 'boolean' },
+            quotes: { type: 'boolean' }
+        }
+    }
+};
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        cid: { type: ['string', 'null'], default: null, pattern: /^QU-[A-Z0-9]{8}-[A-Z0-9]{5}$/i },
+        apiUrl: { type: 'string', default: 'https://quelora.localhost.ar:444' },
+        workerPath: { type: 'string' },
+        timeout: { type: 'number' },
+        pollInterval: { type: 'number' },
+        theme: { type: 'string', enum: ['light', 'dark', 'system'] },
+        shadowDom: {
+            type: 'object',
+            properties: {
+                enabled: boolean(false),
+                isolateBar: boolean(false),
+                stylesheetUrl: { type: 'string' }
+            }
+        },
+        remoteConfig: {
+            type: 'object',
+            properties: {
+                enabled: boolean(false),
+                url: { type: 'string' },
+                publicKey: { type: 'string' },
+                ttl: number(3600000),
+                timeout: number(3000)
+            }
+        },
+        login: {
+            type: 'object',
+            properties: {
+                baseUrl: { type: 'string', default: 'https://quelora.localhost.ar' },
+                providers: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['Default', 'Google', 'Facebook', 'Apple', 'X'] },
+                    default: ['Default']
+                },
+                providerDetails: {
+                    type: 'object',
+                    default: { Default: { clientId: 'default-client-id' } },
+                    additionalProperties: {
+                        type: 'object',
+                        properties: {
+                            clientId: { type: 'string' },
+                            appId: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        },
+        audio: {
+            type: 'object',
+            properties: {
+                enable_mic_transcription: boolean(false),
+                save_comment_audio: boolean(false),
+                max_recording_seconds: number(30),
+                bitrate: { type: 'number' }
+            }
+        },
+        geolocation: {
+            type: 'object',
+            properties: {
+                enabled: boolean(false),
+                provider: { type: 'string', enum: ['none', 'ipapi'], default: 'none' },
+                apiKey: { type: 'string' }
+            }
+        },
+        captcha: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                provider: { type: 'string', enum: ['turnstile', 'recaptcha'] },
+                siteKey: { type: 'string' },
+                options: { type: 'object', additionalProperties: true }
+            }
+        },
+        links: {
+            type: 'object',
+            properties: {
+                previews: boolean(true),
+                allow: { type: 'array', items: { type: 'string' }, default: [] },
+                deny: { type: 'array', items: { type: 'string' }, default: [] }
+            }
+        },
+        composer: {
+            type: 'object',
+            properties: {
+                toolbar: boolean(false)
+            }
+        },
+        ai: {
+            type: 'object',
+            properties: {
+                report: { type: 'boolean' }
+            }
+        },
+        entityConfig: {
+            type: ['object', 'array'],
+            properties: ENTITY_RULE,
+            items: { type: 'object', properties: ENTITY_RULE }
+        },
+        network: {
+            type: 'object',
+            properties: {
+                transport: { type: 'string', enum: ['http', 'mock'], default: 'http' },
+                mock: { type: 'object', additionalProperties: true, default: {} },
+                retry: {
+                    type: 'object',
+                    properties: {
+                        enabled: boolean(true),
+                        maxAttempts: number(3),
+                        baseDelay: number(500),
+                        maxDelay: number(8000),
+                        maxRetryAfter: number(30000),
+                        retryMutations: boolean(true),
+                        actions: {
+                            type: 'object',
+                            default: {},
+                            additionalProperties: { type: 'string', enum: ['safe', 'unsafe', 'none'] }
+                        }
+                    }
+                },
+                cache: {
+                    type: 'object',
+                    properties: {
+                        persistent: boolean(true),
+                        staleWhileRevalidate: boolean(true),
+                        maxStale: number(86400000),
+                        maxBytes: number(5242880)
+                    }
+                },
+                realtime: {
+                    type: 'object',
+                    properties: {
+                        enabled: boolean(false),
+                        transport: { type: 'string', enum: ['sse', 'websocket'], default: 'sse' },
+                        url: { type: ['string', 'null'], default: null },
+                        reconnectDelay: number(3000),
+                        maxReconnectDelay: number(30000),
+                        counters: boolean(true),
+                        counterFlushInterval: number(1000),
+                        counterResubscribeDelay: number(10000)
+                    }
+                }
+            }
+        },
+        router: {
+            type: 'object',
+            properties: {
+                enabled: boolean(false),
+                settleDelay: number(50)
+            }
+        },
+        vapid: {
+            type: 'object',
+            properties: {
+                publicKey: { type: 'string', default: 'default-public-key' },
+                iconBase64: { type: 'string', default: 'data:image/png;base64,default-icon' }
+            }
+        }
+    }
+};
+
+// ==================== HELPERS ====================
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Edit distance between two strings, case-insensitive.
+ */
+const distance = (a, b) => {
+    a = a.toLowerCase();
+    b = b.toLowerCase();
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * Closest candidate to a misspelled value, if any is close enough.
+ * @param {string} input - Value as written
+ * @param {string[]} candidates - Accepted values
+ * @returns {string|null}
+ */
+const closest = (input, candidates) => {
+    if (typeof input !== 'string') return null;
+
+    const maxDistance = Math.max(2, Math.floor(input.length / 3));
+    let best = null;
+    let bestDistance = Infinity;
+
+    candidates.forEach(candidate => {
+        const d = distance(input, String(candidate));
+        if (d < bestDistance) {
+            best = candidate;
+            bestDistance = d;
+        }
+    });
+
+    return bestDistance <= maxDistance ? best : null;
+};
+
+// ==================== PUBLIC METHODS ====================
+/**
+ * Checks a configuration object against the schema.
+ * @param {*} value - Configuration (or fragment) to check
+ * @param {Object} [schema=SCHEMA] - Schema node
+ * @param {string} [path=''] - Key path of `value`
+ * @returns {Array<{path: string, message: string, suggestion: string|null}>} Problems found
+ */
+const validate = (value, schema = SCHEMA, path = '') => {
+    const issues = [];
+    const actualType = typeOf(value);
+    const types = [].concat(schema.type || []);
+
+    if (types.length && !types.includes(actualType)) {
+        issues.push({ path, message: `expected ${types.join(' or ')}, got ${actualType}`, suggestion: null });
+        return issues;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        const suggestion = closest(value, schema.enum);
+        issues.push({
+            path,
+            message: `${JSON.stringify(value)} is not one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`,
+            suggestion: suggestion !== null ? JSON.stringify(suggestion) : null
+        });
+    }
+
+    if (schema.pattern && actualType === 'string' && !schema.pattern.test(value)) {
+        issues.push({ path, message: `${JSON.stringify(value)} does not match the expected format`, suggestion: null });
+    }
+
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => issues.push(...validate(item, schema.items, `${path}[${index}]`)));
+    }
+
+    if (actualType === 'object' && schema.additionalProperties !== true) {
+        const known = schema.properties || {};
+
+        Object.keys(value).forEach(key => {
+            const keyPath = joinPath(path, key);
+
+            if (known[key]) {
+                issues.push(...validate(value[key], known[key], keyPath));
+            } else if (schema.additionalProperties) {
+                issues.push(...validate(value[key], schema.additionalProperties, keyPath));
+            } else {
+                const suggestion = closest(key, Object.keys(known));
+                issues.push({
+                    path: keyPath,
+                    message: 'is not a known configuration key',
+                    suggestion: suggestion ? joinPath(path, suggestion) : null
+                });
+            }
+        });
+    }
+
+    return issues;
+};
+
+/**
+ * Builds the default configuration from the schema.
+ * @param {Object} [schema=SCHEMA] - Schema node
+ * @returns {*} Default value, or undefined when the node has none
+ */
+const getDefaults = (schema = SCHEMA) => {
+    if ('default' in schema) return JSON.parse(JSON.stringify(schema.default));
+    if (!schema.properties) return undefined;
+
+    const defaults = {};
+    Object.entries(schema.properties).forEach(([key, child]) => {
+        const value = getDefaults(child);
+        if (value !== undefined) defaults[key] = value;
+    });
+    return Object.keys(defaults).length ? defaults : undefined;
+};
+
+/**
+ * Formats a problem for the console, e.g.
+ * `geolocation.provder is not a known configuration key. Did you mean geolocation.provider?`
+ */
+const formatIssue = ({ path, message, suggestion }) =>
+    `${path || '(root)'} ${message}.${suggestion ? ` Did you mean ${suggestion}?` : ''}`;
+
+// ==================== PUBLIC API ====================
+const ConfSchema = {
+    SCHEMA,
+    validate,
+    getDefaults,
+    formatIssue
+};
+
+export default ConfSchema;
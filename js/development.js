@@ -1,6 +1,8 @@
 // Importamos los módulos reales
 import EntityModule from './entity.js';
 import UtilsModule from './utils.js';
+import ConfModule from './conf.js';
+import ConfSchema from './confSchema.js';
 
 (function () {
     'use strict';
@@ -343,6 +345,9 @@ import UtilsModule from './utils.js';
         .log-entry.observer {
             color: #ffcc00;
         }
+        .log-entry.config {
+            color: #ff8a80;
+        }
         
         #quelora-dev-bar.collapsed .dev-logs {
             display: none;
@@ -547,6 +552,7 @@ import UtilsModule from './utils.js';
                 <div class="log-tabs">
                     <button id="worker-log-tab" class="active">Worker Logs</button>
                     <button id="observer-log-tab">Observer Logs</button>
+                    <button id="config-log-tab">Config</button>
                 </div>
                 <div class="log-content-container">
                     <div id="worker-log-content" class="log-content active">
@@ -555,6 +561,9 @@ import UtilsModule from './utils.js';
                     <div id="observer-log-content" class="log-content">
                         <div class="dev-logs-list" id="observer-logs-list"></div>
                     </div>
+                    <div id="config-log-content" class="log-content">
+                        <div class="dev-logs-list" id="config-logs-list"></div>
+                    </div>
                 </div>
             </div>
         </div>
@@ -850,9 +859,9 @@ import UtilsModule from './utils.js';
             
             // Calculate post count based on EntityModule config
             let postsCount = 0;
-            const entityConfig = EntityModule.getConfig();
-            if (entityConfig && entityConfig.selector) {
-                const allPosts = document.querySelectorAll(entityConfig.selector);
+            const entitySelector = EntityModule.getSelector();
+            if (entitySelector) {
+                const allPosts = document.querySelectorAll(entitySelector);
                 const observedPosts = Array.from(allPosts).filter(post => post.querySelector('.community-interaction-bar'));
                 postsCount = observedPosts.length;
             }
@@ -973,7 +982,8 @@ import UtilsModule from './utils.js';
         window.Worker.prototype.postMessage = function(message, transfer) {
             const startTime = performance.now();
             this.addEventListener('message', function onMessage(event) {
-                if (event.data && event.data.originalPayload && event.data.originalPayload.id === message.payload.id) {
+                // Replies echo the request id of the message that started them
+                if (message?.id && event.data?.id === message.id) {
                     const latency = performance.now() - startTime;
                     workerStats.calls++;
                     workerStats.latencies.push(latency);
@@ -1007,16 +1017,27 @@ import UtilsModule from './utils.js';
         const observerTab = document.getElementById('observer-log-tab');
         const workerContent = document.getElementById('worker-log-content');
         const observerContent = document.getElementById('observer-log-content');
+        const configTab = document.getElementById('config-log-tab');
+        const configContent = document.getElementById('config-log-content');
         
         function switchTab(activeTab, activeContent) {
-            [workerTab, observerTab].forEach(tab => tab.classList.remove('active'));
-            [workerContent, observerContent].forEach(content => content.classList.remove('active'));
+            [workerTab, observerTab, configTab].forEach(tab => tab.classList.remove('active'));
+            [workerContent, observerContent, configContent].forEach(content => content.classList.remove('active'));
             activeTab.classList.add('active');
             activeContent.classList.add('active');
         }
 
         workerTab.addEventListener('click', () => switchTab(workerTab, workerContent));
         observerTab.addEventListener('click', () => switchTab(observerTab, observerContent));
+        configTab.addEventListener('click', () => switchTab(configTab, configContent));
+
+        // Config diagnostics: those found before the panel existed, then new ones
+        const logConfigIssues = (issues) => {
+            issues.forEach(issue => addLog('config', `${ConfSchema.formatIssue(issue)} (${issue.source})`));
+            configTab.textContent = `Config (${ConfModule.getDiagnostics().length})`;
+        };
+        logConfigIssues(ConfModule.getDiagnostics());
+        document.addEventListener('quelora:config-diagnostics', (event) => logConfigIssues(event.detail.issues));
 
         updateMetrics();
         initChart();
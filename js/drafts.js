@@ -0,0 +1,176 @@
+/*!
+ * QUELORA – Real-time interaction platform for websites
+ * 
+ * @author German Zelaya
+ * @version 1.0.0
+ * @since 2025
+* @license Licensed under the GNU Affero General Public License v3.0
+ * 
+ * Copyright (C) 2025 German Zelaya
+ * 
+ * QUELORA is an open-source platform designed to add real-time comments,
+ * posts, and reactions to websites. Its lightweight widget (~170KB uncompressed)
+ * integrates easily into any page without the need for frameworks like React
+ * or jQuery. It includes support for AI-powered automated moderation,
+ * engagement analytics, and a multi-tenant dashboard to manage multiple sites
+ * from a single interface.
+ * 
+ * This script is part of the QUELORA project, available at:
+ * https://www.quelora.org/
+ * 
+ * This program is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Drafts Module - Keeps unsent comment text in localStorage, one draft per
+ * entity and reply target, so it survives closing the drawer, reloads and
+ * login redirects. Drafts are scoped to the client ID and the sign-in, and
+ * expire after a week. Drafts typed while signed out move to the next sign-in;
+ * a sign-in's drafts are removed when it signs out.
+ */
+import StorageModule from './storage.js';
+import ConfModule from './conf.js';
+import SessionModule from './session.js';
+
+// ==================== MODULE CONSTANTS ====================
+const DRAFT_TTL = 7 * 24 * 60 * 60 * 1000; // ms
+const MAX_DRAFTS = 50;
+
+// ==================== HELPERS ====================
+const handleError = (error, context) => {
+    console.error(`Error in ${context}:`, error);
+    return null;
+};
+
+const getStorageKey = (sessionId = SessionModule.getSessionId()) =>
+    `quelora_drafts_${ConfModule.get('cid')}_${sessionId || 'anonymous'}`;
+const getDraftKey = (entityId, replyId) => `${entityId}|${replyId || ''}`;
+
+/**
+ * Reads every stored draft, dropping the expired ones
+ * @returns {Object} Draft key -> { entityId, replyId, text, savedAt }
+ */
+const readDrafts = (storageKey = getStorageKey()) => {
+    try {
+        const drafts = JSON.parse(StorageModule.getLocalItem(storageKey) || '{}');
+        const now = Date.now();
+        return Object.fromEntries(Object.entries(drafts).filter(([, draft]) => now - draft.savedAt < DRAFT_TTL));
+    } catch (error) {
+        return {};
+    }
+};
+
+/**
+ * Stores the drafts, keeping only the most recent MAX_DRAFTS
+ * @param {Object} drafts - As returned by readDrafts
+ * @param {string} [storageKey] - Bucket to write, the current sign-in's by default
+ */
+const writeDrafts = (drafts, storageKey = getStorageKey()) => {
+    try {
+        const entries = Object.entries(drafts)
+            .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+            .slice(0, MAX_DRAFTS);
+
+        if (entries.length) {
+            StorageModule.setLocalItem(storageKey, JSON.stringify(Object.fromEntries(entries)));
+        } else {
+            StorageModule.removeLocalItem(storageKey);
+        }
+    } catch (error) {
+        handleError(error, 'DraftsModule.writeDrafts');
+    }
+};
+
+// ==================== SESSION ====================
+/**
+ * Moves the signed-out drafts into a new sign-in, or removes the drafts of
+ * the sign-in that just ended so the next user of the device never sees them.
+ */
+let lastSessionId = SessionModule.getSessionId();
+// Drafts stored before they were scoped to a sign-in could belong to anyone
+StorageModule.removeLocalItem(`quelora_drafts_${ConfModule.get('cid')}`);
+
+SessionModule.onSessionChange(() => {
+    const previousSessionId = lastSessionId;
+    lastSessionId = SessionModule.getSessionId();
+    if (previousSessionId === lastSessionId) return;
+
+    if (previousSessionId) StorageModule.removeLocalItem(getStorageKey(previousSessionId));
+    if (!lastSessionId) return;
+
+    const anonymousKey = getStorageKey(null);
+    const anonymousDrafts = readDrafts(anonymousKey);
+    StorageModule.removeLocalItem(anonymousKey);
+    if (!Object.keys(anonymousDrafts).length) return;
+
+    const drafts = readDrafts();
+    Object.entries(anonymousDrafts).forEach(([key, draft]) => {
+        if (!drafts[key] || drafts[key].savedAt < draft.savedAt) drafts[key] = draft;
+    });
+    writeDrafts(drafts);
+});
+
+// ==================== PUBLIC METHODS ====================
+
+/**
+ * Saves the text typed for an entity or a reply; blank text removes the draft
+ * @param {string} entityId - The entity the comment is for
+ * @param {string|null} replyId - The comment being replied to, if any
+ * @param {string} text - The input's text
+ */
+const saveDraft = (entityId, replyId, text) => {
+    if (!entityId) return;
+
+    const drafts = readDrafts();
+    const key = getDraftKey(entityId, replyId);
+
+    if (text?.trim()) {
+        drafts[key] = { entityId, replyId: replyId || null, text, savedAt: Date.now() };
+    } else {
+        delete drafts[key];
+    }
+    writeDrafts(drafts);
+};
+
+/**
+ * @param {string} entityId - The entity the comment is for
+ * @param {string|null} replyId - The comment being replied to, if any
+ * @returns {string|null} The saved text, or null
+ */
+const getDraft = (entityId, replyId) => readDrafts()[getDraftKey(entityId, replyId)]?.text ?? null;
+
+/**
+ * Gets the draft of an entity saved last, whether a comment or a reply
+ * @param {string} entityId - The entity ID
+ * @returns {Object|null} { entityId, replyId, text, savedAt } or null
+ */
+const getLatestDraft = (entityId) => Object.values(readDrafts())
+    .filter(draft => draft.entityId === entityId)
+    .sort((a, b) => b.savedAt - a.savedAt)[0] || null;
+
+/**
+ * @param {string} entityId - The entity the comment is for
+ * @param {string|null} replyId - The comment being replied to, if any
+ */
+const clearDraft = (entityId, replyId) => saveDraft(entityId, replyId, '');
+
+// ==================== PUBLIC API ====================
+const DraftsModule = {
+    saveDraft,
+    getDraft,
+    getLatestDraft,
+    clearDraft
+};
+
+export default DraftsModule;
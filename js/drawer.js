@@ -41,7 +41,7 @@ class Drawer {
     }
 
     static isAnyDrawerVisible() {
-        return document.querySelector('.drawer.active') !== null;
+        return document.querySelector('.drawer.active:not(.inline)') !== null;
     }
 
     static lockBodyScroll() {
@@ -91,6 +91,8 @@ class Drawer {
         this.currentHeight = 0;
         this.startTime = 0;
         this.eventHandlers = {};
+        this.inline = false;
+        this.inlineOwner = null;
 
         this._boundOnDragging = this.onDragging.bind(this);
         this._boundStopDragging = this.stopDragging.bind(this);
@@ -192,7 +194,7 @@ class Drawer {
     getDimension() { return this.position === 'bottom' ? window.innerHeight : window.innerWidth; }
     parseSize(size, dimension) { if (typeof size === 'number') return size; if (size.includes('%')) return dimension * (parseFloat(size) / 100); return parseFloat(size) || dimension; }
     startDragging(e) { 
-        if (!UtilsModule.isMobile) return; 
+        if (!UtilsModule.isMobile || this.inline) return; 
         this.isDragging = true; 
         this.startTime = Date.now(); 
         const clientPos = this.position === 'bottom' ? (e.touches ? e.touches[0].clientY : e.clientY) : (e.touches ? e.touches[0].clientX : e.clientX); 
@@ -265,6 +267,12 @@ class Drawer {
 
 
     open() {
+        if (this.inline) {
+            this.element.classList.add('active');
+            this.emit('open');
+            return;
+        }
+
         if (Drawer.activeDrawer) {
             // Check to prevent pushing the same active drawer instance to the stack
             if (Drawer.activeDrawer !== this) {
@@ -331,6 +339,14 @@ class Drawer {
     }
 
     close(fromHistory = false) {
+        if (this.inline) {
+            this.element.classList.remove('active');
+            this.emit('close');
+            this.emit('closed');
+            Drawer.emitGlobal('drawerClosed', this);
+            return;
+        }
+
         const wasActive = Drawer.activeDrawer === this;
         this.element.classList.remove('active', 'shadow');
         this.element.classList.add('no-shadow');
@@ -370,6 +386,57 @@ class Drawer {
         this.element.remove();
         Drawer.updateBodyScrollLock();
     }
+
+    /**
+     * Renders the drawer inside a page element instead of as an overlay, or
+     * puts it back as an overlay when `container` is null. Inline drawers open
+     * and close without animation, history entries or body scroll locking.
+     * @param {HTMLElement|null} container - Element to render the drawer in
+     * @param {string|null} [owner] - What the inline drawer is showing, e.g. an entity ID
+     */
+    mountInline(container, owner = null) {
+        this.inlineOwner = container ? owner : null;
+        if (container) {
+            this.inline = true;
+            if (Drawer.activeDrawer === this) Drawer.activeDrawer = null;
+            container.appendChild(this.element);
+            this.element.classList.add('inline');
+            this.element.classList.remove('shadow');
+            Object.assign(this.element.style, {
+                visibility: 'visible',
+                pointerEvents: 'auto',
+                transition: 'none',
+                [this.getPositionProperty()]: '',
+                height: '',
+                maxWidth: ''
+            });
+        } else if (this.inline) {
+            this.inline = false;
+            this.element.classList.remove('inline', 'active');
+            document.body.appendChild(this.element);
+            const dimension = this.parseSize(this.height, this.getDimension());
+            Object.assign(this.element.style, {
+                visibility: 'hidden',
+                pointerEvents: 'none',
+                transition: UtilsModule.isMobile
+                    ? `${this.getPositionProperty()} ${this.transitionSpeed} ease, height ${this.transitionSpeed} ease`
+                    : `${this.getPositionProperty()} ${this.transitionSpeed} ease`,
+                [this.getPositionProperty()]: `-${dimension}px`
+            });
+            if (!UtilsModule.isMobile) {
+                this.element.style.height = '100%';
+                this.element.style.maxWidth = '500px';
+            }
+        }
+        Drawer.updateBodyScrollLock();
+    }
+
+    /**
+     * Puts back a drawer removed with destroy(), keeping its content and handlers.
+     */
+    attach() {
+        if (this.element && !this.element.isConnected) document.body.appendChild(this.element);
+    }
 }
 
 export default Drawer;
\ No newline at end of file
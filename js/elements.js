@@ -0,0 +1,226 @@
+/*!
+ * QUELORA – Real-time interaction platform for websites
+ * 
+ * @author German Zelaya
+ * @version 1.0.0
+ * @since 2025
+* @license Licensed under the GNU Affero General Public License v3.0
+ * 
+ * Copyright (C) 2025 German Zelaya
+ * 
+ * QUELORA is an open-source platform designed to add real-time comments,
+ * posts, and reactions to websites. Its lightweight widget (~170KB uncompressed)
+ * integrates easily into any page without the need for frameworks like React
+ * or jQuery. It includes support for AI-powered automated moderation,
+ * engagement analytics, and a multi-tenant dashboard to manage multiple sites
+ * from a single interface.
+ * 
+ * This script is part of the QUELORA project, available at:
+ * https://www.quelora.org/
+ * 
+ * This program is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Elements Module - Custom elements for embedding Quelora declaratively:
+ * - `<quelora-bar entity="...">` renders the interaction bar where it is placed
+ * - `<quelora-thread entity="..." [comment="..."]>` renders the comment thread
+ *   inline in the page instead of in the drawer
+ * Both follow `entity` changes and release their state when removed. They
+ * stay inert until the widget is initialized and after it is destroyed.
+ */
+import EntityModule from './entity.js';
+import PostsModule from './posts.js';
+import UiModule from './ui.js';
+import ShadowDomModule from './shadowDom.js';
+
+/** @type {boolean} Whether a widget instance is running */
+let active = false;
+/** @type {QueloraThreadElement|null} The thread element holding the comments UI; only one can */
+let activeThreadElement = null;
+
+// ==================== HELPERS ====================
+const handleError = (error, context) => {
+    console.error(`Error in ${context}:`, error);
+    return null;
+};
+
+// ==================== <quelora-bar> ====================
+class QueloraBarElement extends HTMLElement {
+    static observedAttributes = ['entity', 'original-id'];
+
+    constructor() {
+        super();
+        this.registeredId = null;
+        this.registration = null;
+    }
+
+    connectedCallback() {
+        this.sync();
+    }
+
+    attributeChangedCallback() {
+        if (this.isConnected) this.sync(true);
+    }
+
+    disconnectedCallback() {
+        this.release();
+    }
+
+    /**
+     * Registers the element's entity so the next stats fetch renders its bar inside it.
+     * @param {boolean} [force=false] - Re-register even if the entity did not change
+     */
+    sync(force = false) {
+        try {
+            const entityId = this.getAttribute('entity');
+            if (!active || (!force && entityId === this.registeredId)) return;
+
+            this.release();
+            if (!entityId) return;
+
+            this.registration = EntityModule.registerEntity({
+                id: entityId,
+                originalId: this.getAttribute('original-id'),
+                mount: this,
+                position: 'inside'
+            });
+            this.registeredId = entityId;
+            PostsModule.fetchStats();
+        } catch (error) {
+            handleError(error, 'QueloraBarElement.sync');
+        }
+    }
+
+    release() {
+        if (!this.registeredId) return;
+
+        // Other elements of the same entity keep their own registrations
+        if (EntityModule.unregisterEntity(this.registeredId, this.registration)) {
+            PostsModule.releaseDetachedEntities();
+        }
+        this.registeredId = null;
+        this.registration = null;
+    }
+}
+
+// ==================== <quelora-thread> ====================
+class QueloraThreadElement extends HTMLElement {
+    static observedAttributes = ['entity', 'comment'];
+
+    connectedCallback() {
+        this.sync();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (this.isConnected && oldValue !== newValue) this.sync();
+    }
+
+    disconnectedCallback() {
+        this.release();
+    }
+
+    /**
+     * Moves the comments UI into the element and loads the entity's thread.
+     */
+    async sync() {
+        try {
+            const entityId = this.getAttribute('entity');
+            if (!active) return;
+            if (!entityId) {
+                this.release();
+                return;
+            }
+
+            if (activeThreadElement && activeThreadElement !== this) activeThreadElement.release();
+            activeThreadElement = this;
+
+            const commentId = this.getAttribute('comment');
+            UiModule.commentsDrawerUI.mountInline(this, entityId);
+            UiModule.getCommunityThreadsUI()?.replaceChildren();
+            await PostsModule.ensureEntityConfig(entityId);
+            if (activeThreadElement !== this) return;
+
+            await PostsModule.loadThread(entityId, commentId, Boolean(commentId));
+        } catch (error) {
+            handleError(error, 'QueloraThreadElement.sync');
+        }
+    }
+
+    /**
+     * Closes the thread and gives the comments UI back to the drawer.
+     */
+    release() {
+        if (activeThreadElement !== this) return;
+        activeThreadElement = null;
+
+        try {
+            UiModule.commentsDrawerUI.close(true);
+            UiModule.commentsDrawerUI.mountInline(null);
+        } catch (error) {
+            handleError(error, 'QueloraThreadElement.release');
+        }
+    }
+}
+
+/**
+ * A bar of another entity took the comments UI back to the drawer; reclaim
+ * it for the thread element once that drawer closes.
+ */
+const handleDrawerClose = () => {
+    if (activeThreadElement && !UiModule.commentsDrawerUI.inline) activeThreadElement.sync();
+};
+
+// ==================== PUBLIC METHODS ====================
+const ELEMENTS = {
+    'quelora-bar': QueloraBarElement,
+    'quelora-thread': QueloraThreadElement
+};
+
+/**
+ * Defines the custom elements, once, and renders those already in the page.
+ */
+const activate = () => {
+    if (typeof customElements === 'undefined') return;
+    active = true;
+    UiModule.commentsDrawerUI.on('close', handleDrawerClose);
+
+    Object.entries(ELEMENTS).forEach(([name, constructor]) => {
+        if (!customElements.get(name)) customElements.define(name, constructor);
+    });
+
+    // Elements upgraded before activation did nothing
+    ShadowDomModule.querySelectorAllDeep(Object.keys(ELEMENTS).join(', '))
+        .forEach(element => element.sync?.());
+};
+
+/**
+ * Releases every element's state; they stay defined but inert until the next activate().
+ */
+const deactivate = () => {
+    if (typeof customElements === 'undefined') return;
+
+    ShadowDomModule.querySelectorAllDeep(Object.keys(ELEMENTS).join(', '))
+        .forEach(element => element.release?.());
+    UiModule.commentsDrawerUI.off('close', handleDrawerClose);
+    active = false;
+};
+
+// ==================== PUBLIC API ====================
+const ElementsModule = {
+    activate,
+    deactivate
+};
+
+export default ElementsModule;
@@ -36,6 +36,8 @@ import UiModule from './ui.js';
 
 // Private variable to hold the picker container element
 let pickerContainer;
+let themeObserver = null;
+let pickerListeners = null; // AbortController for the document listeners
 
 /**
  * Loads the Emoji Mart script dynamically from a CDN.
@@ -156,14 +158,17 @@ function setupEmojiPicker() {
 
     showEmojiButtons();
     createPicker();
+    destroyEmojiPicker();
+    pickerListeners = new AbortController();
+    const { signal } = pickerListeners;
 
     // React to theme changes
-    const observer = new MutationObserver(mutations => {
+    themeObserver = new MutationObserver(mutations => {
         if (mutations.some(m => m.attributeName === 'data-theme')) {
             createPicker();
         }
     });
-    observer.observe(document.documentElement, { attributes: true });
+    themeObserver.observe(document.documentElement, { attributes: true });
 
     // Open picker on emoji button click
     document.addEventListener('click', (event) => {
@@ -188,27 +193,40 @@ function setupEmojiPicker() {
                 adjustPickerPosition(button);
             }
         }, 300);
-    });
+    }, { signal });
 
     // Close picker when clicking outside
     document.addEventListener('click', (event) => {
         if (!pickerContainer.contains(event.target) && !event.target.closest('.emoji-button')) {
             pickerContainer.style.display = 'none';
         }
-    });
+    }, { signal });
 
     // Close picker on ESC key
     document.addEventListener('keydown', (event) => {
         if (event.key === 'Escape') {
             pickerContainer.style.display = 'none';
         }
-    });
+    }, { signal });
+}
+
+/**
+ * Removes the picker's theme observer and document listeners.
+ */
+function destroyEmojiPicker() {
+    themeObserver?.disconnect();
+    themeObserver = null;
+    pickerListeners?.abort();
+    pickerListeners = null;
+    // Also stops the repositioning interval of an open picker
+    if (pickerContainer) pickerContainer.style.display = 'none';
 }
 
 // ==================== PUBLIC API ====================
 const EmojiModule = {
     loadEmojiMartScript,
-    setupEmojiPicker
+    setupEmojiPicker,
+    destroyEmojiPicker
 };
 
 export default EmojiModule;
\ No newline at end of file
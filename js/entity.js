@@ -40,8 +40,15 @@
  * - Extract entity ID from specified attribute
  * - Generate unique hashes for entities when needed
  * - Create interaction controls in specified placement
+ *
+ * `entityConfig` is either a single rule or an array of rules, e.g.
+ * [{ selector: '.video-tile', entityIdAttribute: 'data-video-id',
+ *    interactionPlacement: { position: 'after' }, features: { comments: false } }]
+ * Rules are evaluated by descending `priority`, then in array order; the
+ * first rule whose selector matches an element owns it.
  */
 import ConfModule from './conf.js';
+import ShadowDomModule from './shadowDom.js';
 
 
 // Default configuration
@@ -55,6 +62,19 @@ const defaultConfig = {
     }
 };
 
+/** @type {Map<string, object[]>} Registrations added through registerEntity, by entity ID */
+const registeredEntities = new Map();
+
+/** Rule feature names mapped to the interaction flags delivered with the stats */
+const FEATURE_FLAGS = {
+    likes: 'allow_likes',
+    shares: 'allow_shares',
+    comments: 'allow_comments',
+    bookmarks: 'allow_bookmarks',
+    replies: 'allow_replies',
+    quotes: 'allow_quotes'
+};
+
 /**
  * Generates a 24-character hash from an input string
  * @param {string} input - The string to hash
@@ -77,38 +97,129 @@ async function generateHash(input) {
 }
 
 /**
- * Gets entity configuration from ConfModule or uses defaults
- * @returns {object} - Merged configuration object
+ * Fills a rule with the defaults
+ * @param {object} rule - Rule as configured
+ * @param {number} index - Position of the rule in the configuration
+ * @returns {object} - Normalized rule
+ */
+function normalizeRule(rule = {}, index = 0) {
+    const entityIdAttribute = rule.entityIdAttribute || defaultConfig.entityIdAttribute;
+    const customResolver = typeof rule.entityId === 'function';
+
+    return {
+        name: rule.name ?? String(index),
+        priority: rule.priority || 0,
+        selector: rule.selector || defaultConfig.selector,
+        entityIdAttribute,
+        entityId: customResolver
+            ? rule.entityId
+            : (element) => element.getAttribute(entityIdAttribute),
+        // Custom IDs may hold any characters, so they are hashed like custom attributes
+        hashIds: customResolver || entityIdAttribute !== defaultConfig.entityIdAttribute,
+        interactionPlacement: {
+            position: rule.interactionPlacement?.position || defaultConfig.interactionPlacement.position,
+            relativeTo: rule.interactionPlacement?.relativeTo || defaultConfig.interactionPlacement.relativeTo
+        },
+        features: rule.features || {}
+    };
+}
+
+/**
+ * Gets the configured entity rules in evaluation order
+ * @returns {object[]} - Normalized rules, highest priority first
  */
-function getConfig() {
+function getRules() {
     try {
         const config = ConfModule.get('entityConfig', {});
+        const rules = (Array.isArray(config) ? config : [config]).map(normalizeRule);
+        return rules.length
+            ? rules.sort((a, b) => b.priority - a.priority)
+            : [normalizeRule()];
+    } catch (error) {
+        console.error('Error getting entity rules:', error);
+        return [normalizeRule()];
+    }
+}
+
+/**
+ * Finds the rule that owns an element: the one recorded when it was marked,
+ * else the first whose selector matches
+ * @param {HTMLElement} element - Entity element
+ * @param {object[]} [rules] - Rules to search
+ * @returns {object} - Normalized rule
+ */
+function getRuleForElement(element, rules = getRules()) {
+    const recorded = element?.getAttribute?.('data-entity-rule');
+    return rules.find(rule => recorded !== null && recorded !== undefined && rule.name === recorded)
+        || rules.find(rule => element?.matches?.(rule.selector))
+        || rules[0];
+}
+
+/**
+ * Selector matching the elements of every rule
+ * @returns {string} - Comma-separated selector list
+ */
+function getSelector() {
+    return getRules().map(rule => rule.selector).join(', ');
+}
+
+/**
+ * Gets entity configuration: the rule owning the element, or the highest
+ * priority rule when no element is given
+ * @param {HTMLElement} [element] - Entity element whose data-quelora-* attributes override the rule
+ * @returns {object} - Merged configuration object
+ */
+function getConfig(element = null) {
+    try {
+        if (!element) return getRules()[0];
+
+        const rule = getRuleForElement(element);
+        const overrides = ConfModule.getElementOverrides(element, 'entityConfig');
+        if (!Object.keys(overrides).length) return rule;
 
         return {
-            selector: config.selector || defaultConfig.selector,
-            entityIdAttribute: config.entityIdAttribute || defaultConfig.entityIdAttribute,
-            entityId: config.entityIdAttribute 
-                ? (element) => element.getAttribute(config.entityIdAttribute)
-                : defaultConfig.entityId,
-            interactionPlacement: {
-                position: config.interactionPlacement?.position || defaultConfig.interactionPlacement.position,
-                relativeTo: config.interactionPlacement?.relativeTo || defaultConfig.interactionPlacement.relativeTo
-            }
+            ...rule,
+            interactionPlacement: { ...rule.interactionPlacement, ...(overrides.interactionPlacement || {}) },
+            features: { ...rule.features, ...(overrides.features || {}) }
         };
     } catch (error) {
         console.error('Error getting entity config:', error);
-        return defaultConfig;
+        return normalizeRule();
     }
 }
 
+/**
+ * Narrows the interaction flags delivered with the stats by the features the
+ * entity's rule disables. Rules can only turn features off.
+ * @param {string} entityId - The entity ID
+ * @param {object} statsConfig - Entity configuration from the stats
+ * @returns {object} - Configuration with the rule applied
+ */
+function applyFeatureFlags(entityId, statsConfig) {
+    const element = findEntityElement(entityId);
+    if (!element || !statsConfig) return statsConfig;
+
+    const { features } = getConfig(element);
+    const disabled = Object.keys(FEATURE_FLAGS).filter(feature => features[feature] === false);
+    if (!disabled.length) return statsConfig;
+
+    const interaction = { ...(statsConfig.interaction || {}) };
+    disabled.forEach(feature => { interaction[FEATURE_FLAGS[feature]] = false; });
+    return { ...statsConfig, interaction };
+}
+
 /**
  * Gets the position of interaction placement for a given entity
- * @param {HTMLElement} element - The entity element
+ * @param {string} [entityId] - The entity ID, to apply its per-element overrides
  * @returns {string} - Position of interaction placement
  */
-function getInteractionPosition() {
+function getInteractionPosition(entityId = null) {
     try {
-        const config = getConfig();
+        const [registered] = getRegistrations(entityId);
+        if (registered) return registered.position;
+
+        const element = entityId ? getDefaultSelectorElement(entityId) : null;
+        const config = getConfig(element);
         return config.interactionPlacement.position;
     } catch (error) {
         console.error('Error getting interaction position:', error);
@@ -122,17 +233,23 @@ function getInteractionPosition() {
  */
 async function findEntities() {
     try {
-        const config = getConfig();
-        const elements = Array.from(document.querySelectorAll(config.selector))
-            .filter(element => !element.hasAttribute('data-entity-ready'));
+        // Each element is claimed by the first rule, in priority order, that matches it
+        const claimed = new Map();
+        getRules().forEach(rule => {
+            ShadowDomModule.querySelectorAllDeep(rule.selector).forEach(element => {
+                if (!claimed.has(element) && !element.hasAttribute('data-entity-ready')) {
+                    claimed.set(element, rule);
+                }
+            });
+        });
 
         const hashedIds = [];
         const originalMap = {};
         let needsMapping = false;
 
         await Promise.all(
-            elements.map(async (element) => {
-                const originalId = config.entityId(element);
+            Array.from(claimed, async ([element, rule]) => {
+                const originalId = rule.entityId(element);
                 if (!originalId) return;
 
                 // URL-encode the original ID to prevent breakage
@@ -140,7 +257,7 @@ async function findEntities() {
                 
                 // Determine if we need to hash (only if not using default attribute)
 
-                const shouldHash = config.entityIdAttribute != 'data-entity';
+                const shouldHash = rule.hashIds;
                 const finalId = shouldHash 
                     ? await generateHash(originalId) 
                     : originalId;
@@ -148,6 +265,7 @@ async function findEntities() {
                 // Mark the element
                 element.setAttribute('data-entity', finalId);
                 element.setAttribute('data-entity-original', encodedOriginalId);
+                element.setAttribute('data-entity-rule', rule.name);
                 element.setAttribute('data-entity-ready', 'true');
 
                 // Collect results
@@ -161,7 +279,19 @@ async function findEntities() {
             })
         );
 
-        return [hashedIds, needsMapping ? originalMap : {}];
+        // Registered entities are reported once, like scanned elements marked ready
+        Array.from(registeredEntities.values()).flat().forEach(entry => {
+            if (!entry.pending) return;
+            entry.pending = false;
+            hashedIds.push(entry.id);
+
+            if (entry.originalId && entry.originalId !== entry.id) {
+                originalMap[entry.id] = encodeURIComponent(entry.originalId);
+                needsMapping = true;
+            }
+        });
+
+        return [[...new Set(hashedIds)], needsMapping ? originalMap : {}];
     } catch (error) {
         console.error('Error finding entities:', error);
         return [[], {}];
@@ -169,16 +299,17 @@ async function findEntities() {
 }
 
 /**
- * Determines where to place interaction elements for a given entity
+ * Determines where to place interaction elements for a given entity.
+ * `relativeTo` is looked up inside the entity, including its open shadow roots.
  * @param {HTMLElement} element - The entity element
  * @param {string} entityId - The entity ID
  * @returns {object} - Placement info {targetElement, position}
  */
 function getInteractionPlacement(element, entityId) {
     try {
-        const config = getConfig();
+        const config = getConfig(element);
         const { position, relativeTo } = config.interactionPlacement;
-        let targetElement = document.querySelector(relativeTo);
+        let targetElement = ShadowDomModule.querySelectorDeep(relativeTo, element);
 
         if (!targetElement) {
             console.warn(`Interaction placement element ${relativeTo} not found for entity ${entityId}. Using data-entity as fallback.`);
@@ -199,19 +330,20 @@ function getInteractionPlacement(element, entityId) {
  */
 function getInteractionPlacementByEntity(entityId) {
     try {
-        const config = getConfig();
-        const { position, relativeTo } = config.interactionPlacement;
-        
+        const [registered] = getRegistrations(entityId);
+        if (registered) return registered.mount;
+
         // Primero encontrar el elemento principal con el data-entity
-        const mainElement = document.querySelector(`${config.selector}[data-entity="${entityId}"]`);
+        const mainElement = findEntityElement(entityId);
         
         if (!mainElement) {
             console.warn(`Entity element not found for ID: ${entityId}`);
-            return { targetElement: null, position };
+            return { targetElement: null, position: getConfig().interactionPlacement.position };
         }
         
         // Buscar el contenedor de interacción dentro del elemento principal
-        let targetElement = mainElement.querySelector(relativeTo);
+        const { relativeTo: entityRelativeTo } = getConfig(mainElement).interactionPlacement;
+        let targetElement = ShadowDomModule.querySelectorDeep(entityRelativeTo, mainElement);
         
         // Si no se encuentra, usar el elemento principal como fallback
         if (!targetElement) {
@@ -221,11 +353,10 @@ function getInteractionPlacementByEntity(entityId) {
         return  targetElement;
     } catch (error) {
         console.error('Error getting interaction placement:', error);
-        const config = getConfig();
-        const mainElement = document.querySelector(`${config.selector}[data-entity="${entityId}"]`);
+        const mainElement = findEntityElement(entityId);
         return { 
             targetElement: mainElement || null, 
-            position: config.interactionPlacement.position 
+            position: getConfig(mainElement).interactionPlacement.position 
         };
     }
 }
@@ -236,7 +367,7 @@ function getInteractionPlacementByEntity(entityId) {
  */
 function getAllPlacementElements() {
     const elements = [];
-    const entities = document.querySelectorAll(getConfig().selector);
+    const entities = ShadowDomModule.querySelectorAllDeep(getSelector());
     
     entities.forEach(entity => {
         const entityId = entity.getAttribute('data-entity');
@@ -258,8 +389,7 @@ function getAllPlacementElements() {
  */
 function getDefaultSelectorElement(entityId) {
     try {
-        const config = getConfig();
-        const selectorElement = document.querySelector(`${config.selector}[data-entity="${entityId}"]`);
+        const selectorElement = findEntityElement(entityId);
         
         if (!selectorElement) {
             console.warn(`Default selector element not found for entity: ${entityId}`);
@@ -273,6 +403,102 @@ function getDefaultSelectorElement(entityId) {
     }
 }
 
+// ==================== REGISTERED ENTITIES ====================
+/**
+ * Registers an entity that DOM scanning cannot find, e.g. one drawn in a
+ * canvas player or a virtual list. The next fetchStats reports it and
+ * renderStatsUI places its bar relative to `mount` or hands it to `render`.
+ * An entity can be registered several times, each with its own bar;
+ * registering the same mount or render callback again replaces that one.
+ * @param {object} options
+ * @param {string} options.id - Entity ID
+ * @param {string} [options.originalId] - Original ID the entity maps to
+ * @param {HTMLElement} [options.mount] - Element the bar is placed relative to
+ * @param {string} [options.position='inside'] - 'inside', 'before', 'after' or 'replace', relative to mount
+ * @param {Function} [options.render] - Receives (bar, entityId) and inserts the bar itself
+ * @returns {object} - The registration, to unregister only this one
+ * @throws {Error} - If the ID or both mount and render are missing
+ */
+function registerEntity({ id, originalId = null, mount = null, position = 'inside', render = null } = {}) {
+    if (!id) throw new Error('registerEntity requires an id');
+    if (!mount && typeof render !== 'function') {
+        throw new Error(`registerEntity requires a mount element or a render callback for entity ${id}`);
+    }
+
+    const entityId = String(id);
+    const previous = getRegistrations(entityId).find(entry => mount ? entry.mount === mount : entry.render === render);
+    if (previous) unregisterEntity(entityId, previous);
+
+    const registration = { id: entityId, originalId, mount, position, render, bar: null, pending: true };
+    registeredEntities.set(entityId, [...getRegistrations(entityId), registration]);
+    return registration;
+}
+
+/**
+ * Removes a registration of an entity, or all of them, and the bars created for them
+ * @param {string} id - Entity ID
+ * @param {object} [registration] - Registration returned by registerEntity; all when omitted
+ * @returns {boolean} - Whether anything was registered
+ */
+function unregisterEntity(id, registration = null) {
+    const entityId = String(id);
+    const entries = getRegistrations(entityId);
+    const removed = registration ? entries.filter(entry => entry === registration) : entries;
+    if (!removed.length) return false;
+
+    removed.forEach(entry => entry.bar && ShadowDomModule.removeBar(entry.bar));
+    const remaining = entries.filter(entry => !removed.includes(entry));
+    remaining.length ? registeredEntities.set(entityId, remaining) : registeredEntities.delete(entityId);
+    return true;
+}
+
+/**
+ * Gets the registrations of an entity
+ * @param {string} id - Entity ID
+ * @returns {object[]} - Registrations {id, originalId, mount, position, render, bar}
+ */
+function getRegistrations(id) {
+    return registeredEntities.get(String(id)) || [];
+}
+
+/**
+ * Records the bar rendered for a registration
+ * @param {object} registration - Registration returned by registerEntity
+ * @param {HTMLElement} bar - Interaction bar
+ */
+function setRegisteredBar(registration, bar) {
+    registration.bar = bar;
+}
+
+/**
+ * Bars rendered for registered entities, which may live outside the document
+ * @param {string} [id] - Entity ID; all bars when omitted
+ * @returns {HTMLElement[]}
+ */
+function getRegisteredBars(id = null) {
+    const entries = id ? getRegistrations(id) : Array.from(registeredEntities.values()).flat();
+    return entries.map(entry => entry.bar).filter(Boolean);
+}
+
+/**
+ * Removes every registered entity
+ */
+function clearRegisteredEntities() {
+    Array.from(registeredEntities.keys()).forEach(id => unregisterEntity(id));
+}
+
+/**
+ * Finds the element of an entity among those matched by any rule
+ * @param {string} entityId - The entity ID
+ * @returns {HTMLElement|null} - Entity element
+ */
+function findEntityElement(entityId) {
+    if (!entityId) return null;
+    const selector = getSelector();
+    return ShadowDomModule.querySelectorAllDeep(`[data-entity="${CSS.escape(entityId)}"]`)
+        .find(element => element.matches(selector)) || null;
+}
+
 // PUBLIC API
 const EntityModule = {
     getInteractionPosition,
@@ -281,6 +507,16 @@ const EntityModule = {
     getInteractionPlacement,
     getInteractionPlacementByEntity,
     getConfig,
+    getRules,
+    getSelector,
+    applyFeatureFlags,
+    registerEntity,
+    unregisterEntity,
+    getRegistrations,
+    getRegisteredEntities: () => Array.from(registeredEntities.keys()),
+    setRegisteredBar,
+    getRegisteredBars,
+    clearRegisteredEntities,
     generateHash,
     getAllPlacementElements
 };
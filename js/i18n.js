@@ -1,5 +1,6 @@
   import StorageModule from './storage.js';
   import UtilsModule from './utils.js';
+  import ShadowDomModule from './shadowDom.js';
 
   /**
    * The chunk size for updating the DOM. This prevents the UI from freezing
@@ -332,7 +333,7 @@
    */
   const translateByClass = (className, attribute = null) => {
       try {
-          const elements = document.querySelectorAll(`.${className}`);
+          const elements = ShadowDomModule.querySelectorAllDeep(`.${className}`);
           elements.forEach(element => {
               if (element.isConnected) {
                   translateElement(element, attribute, className);
@@ -359,7 +360,7 @@
       const elements = [];
       
       // Find elements with i18n data attributes
-      const elementsWithData = document.querySelectorAll('[data-i18n-key]');
+      const elementsWithData = ShadowDomModule.querySelectorAllDeep('[data-i18n-key]');
       elementsWithData.forEach(el => {
           if (el.isConnected) elements.push(el);
       });
@@ -367,7 +368,7 @@
       // Find elements with translation classes but no data attributes
       const classSelectors = _getTranslationSelectors();
       classSelectors.forEach(selector => {
-          document.querySelectorAll(selector).forEach(el => {
+          ShadowDomModule.querySelectorAllDeep(selector).forEach(el => {
               if (el.isConnected && !el.dataset.i18nKey) {
                   elements.push(el);
               }
@@ -445,7 +446,7 @@
       try {
           if (state.observer) state.observer.disconnect();
 
-          state.observer = new MutationObserver((mutations) => {
+          state.observer = ShadowDomModule.observeDeep((mutations) => {
               if (document.body.dataset.changingLanguage === 'true') return;
 
               mutations.forEach(mutation => {
@@ -460,7 +461,7 @@
                               const selectorString = selectors.join(', ');
                               
                               // Check for translatable elements in the added node
-                              const elementsFromQuery = node.querySelectorAll?.(selectorString) || [];
+                              const elementsFromQuery = ShadowDomModule.querySelectorAllDeep(selectorString, node);
                               if (elementsFromQuery.length > 0) {
                                   translatableElements = Array.from(elementsFromQuery);
                               }
@@ -491,9 +492,7 @@
                       });
                   }
               });
-          });
-
-          state.observer.observe(document.body, {
+          }, document.body, {
             childList: true,
             subtree: true,
             attributes: false,
@@ -505,6 +504,14 @@
       }
   };
 
+  /**
+   * Stops translating newly added elements.
+   */
+  const destroy = () => {
+      state.observer?.disconnect();
+      state.observer = null;
+  };
+
   /**
    * Exported public API for the I18n module.
    * This object provides a clear interface for interacting with the module.
@@ -515,7 +522,8 @@
       translateByClass,
       getTranslation,
       clearCache,
-      getSpeechVariant
+      getSpeechVariant,
+      destroy
   };
 
   export default I18n;
\ No newline at end of file
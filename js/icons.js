@@ -33,6 +33,7 @@
  */
 
 import UtilsModule from "./utils.js";
+import ShadowDomModule from "./shadowDom.js";
 
 // ==================== PRIVATE VARIABLES ====================
 
@@ -172,7 +173,7 @@ const processIconsBatch = (() => {
 const collectIconsInSubtree = (node, bag) => {
   if (!node || node.nodeType !== Node.ELEMENT_NODE) return;
   if (shouldProcessIcon(node)) bag.add(node);
-  const found = node.querySelectorAll?.(".quelora-icons-outlined");
+  const found = ShadowDomModule.querySelectorAllDeep(".quelora-icons-outlined", node);
   if (found?.length) found.forEach((el) => { if (shouldProcessIcon(el)) bag.add(el); });
 };
 
@@ -180,7 +181,7 @@ const collectIconsInSubtree = (node, bag) => {
 const startObserving = () => {
   if (isObserving) return;
 
-  observer = new MutationObserver((mutations) => {
+  observer = ShadowDomModule.observeDeep((mutations) => {
     const bag = new Set();
     for (const m of mutations) {
       if (m.type === "childList") {
@@ -196,9 +197,7 @@ const startObserving = () => {
       }
     }
     if (bag.size) processIconsBatch(bag);
-  });
-
-  observer.observe(document.body, {
+  }, document.body, {
     childList: true,
     subtree: true,
     characterData: true,
@@ -223,7 +222,7 @@ const startObserving = () => {
 const initializeIcons = async (customIcons = {}) => {
   Object.assign(enhancedIconLibrary, enhanceLibrary(customIcons));
 
-  const nodes = document.querySelectorAll(".quelora-icons-outlined");
+  const nodes = ShadowDomModule.querySelectorAllDeep(".quelora-icons-outlined");
   let i = 0;
   const chunk = 60;
 
@@ -0,0 +1,191 @@
+/*!
+ * QUELORA – Real-time interaction platform for websites
+ * 
+ * @author German Zelaya
+ * @version 1.0.0
+ * @since 2025
+* @license Licensed under the GNU Affero General Public License v3.0
+ * 
+ * Copyright (C) 2025 German Zelaya
+ * 
+ * QUELORA is an open-source platform designed to add real-time comments,
+ * posts, and reactions to websites. Its lightweight widget (~170KB uncompressed)
+ * integrates easily into any page without the need for frameworks like React
+ * or jQuery. It includes support for AI-powered automated moderation,
+ * engagement analytics, and a multi-tenant dashboard to manage multiple sites
+ * from a single interface.
+ * 
+ * This script is part of the QUELORA project, available at:
+ * https://www.quelora.org/
+ * 
+ * This program is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Links Module - Decides how links in comments are shown and opened:
+ * - `links.deny` domains are never linked
+ * - `links.allow` domains (and this site) open directly
+ * - any other domain opens behind a warning
+ * Previews (title, domain, image, description) come from the worker's
+ * `unfurlLink` action and are cached by the worker and per page view.
+ */
+import ConfModule from './conf.js';
+import UiModule from './ui.js';
+
+// ==================== MODULE CONSTANTS ====================
+const POLICY_ALLOW = 'allow';
+const POLICY_WARN = 'warn';
+const POLICY_DENY = 'deny';
+
+// ==================== PRIVATE VARIABLES ====================
+let workerInstance = null;
+let cid = null;
+const previews = new Map(); // url -> Promise<Object|null>
+
+// ==================== HELPERS ====================
+const handleError = (error, context) => {
+    console.error(`Error in ${context}:`, error);
+    return null;
+};
+
+/**
+ * Whether a hostname is one of the listed domains or a subdomain of one.
+ * Entries may be written as "example.com" or "*.example.com".
+ * @param {string} hostname - Lowercase hostname
+ * @param {Array<string>} domains - Configured domains
+ * @returns {boolean}
+ */
+const matchesDomain = (hostname, domains) => (Array.isArray(domains) ? domains : []).some(entry => {
+    const domain = String(entry).trim().toLowerCase().replace(/^\*\./, '');
+    return Boolean(domain) && (hostname === domain || hostname.endsWith(`.${domain}`));
+});
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// ==================== PUBLIC METHODS ====================
+
+/**
+ * Listens on the document: comments are also cloned outside the drawer,
+ * e.g. into the long-press action modal appended to the body.
+ * @param {Object} dependencies - { worker, cid }
+ */
+function initializeLinks(dependencies) {
+    workerInstance = dependencies.worker;
+    cid = dependencies.cid;
+
+    destroyLinks();
+    document.addEventListener('click', handleLinkClick);
+}
+
+function destroyLinks() {
+    document.removeEventListener('click', handleLinkClick);
+    previews.clear();
+}
+
+/**
+ * Classifies a URL against the configured allow and deny lists
+ * @param {string} url - Absolute URL
+ * @returns {string} 'allow', 'warn' or 'deny'
+ */
+function getLinkPolicy(url) {
+    try {
+        const hostname = new URL(url).hostname.toLowerCase();
+        if (matchesDomain(hostname, ConfModule.get('links.deny', []))) return POLICY_DENY;
+        if (hostname === window.location.hostname.toLowerCase() ||
+            matchesDomain(hostname, ConfModule.get('links.allow', []))) return POLICY_ALLOW;
+        return POLICY_WARN;
+    } catch {
+        return POLICY_DENY;
+    }
+}
+
+/**
+ * Fetches a link's preview through the worker, once per URL and page view
+ * @param {string} url - Absolute URL
+ * @returns {Promise<Object|null>} { url, title, description, image, siteName } or null
+ */
+function unfurlLink(url) {
+    if (!previews.has(url)) {
+        const request = workerInstance
+            ? workerInstance.request('unfurlLink', { url, cid })
+                .then(preview => (preview?.title || preview?.description ? {
+                    url,
+                    title: String(preview.title || ''),
+                    description: String(preview.description || ''),
+                    siteName: String(preview.siteName || ''),
+                    image: isHttpUrl(preview.image) ? preview.image : null
+                } : null))
+                .catch(() => null)
+            : Promise.resolve(null);
+        previews.set(url, request);
+    }
+    return previews.get(url);
+}
+
+/**
+ * Adds preview cards under the links of a rendered comment that asked for one
+ * @param {HTMLElement} container - The comment's text element
+ */
+function hydrateLinkPreviews(container) {
+    try {
+        if (!ConfModule.get('links.previews', true)) return;
+
+        // One card per comment, for its first link
+        const link = container?.querySelector('a.quelora-link[data-link-preview]');
+        if (!link) return;
+        link.removeAttribute('data-link-preview');
+
+        unfurlLink(link.href).then(preview => {
+            if (!preview || link.nextElementSibling?.classList.contains('quelora-link-preview')) return;
+            const card = UiModule.createLinkPreviewUI(preview, link.dataset.linkPolicy);
+            if (card) link.after(card);
+        });
+    } catch (error) {
+        handleError(error, 'LinksModule.hydrateLinkPreviews');
+    }
+}
+
+/**
+ * Opens links to domains off the allowlist through the warning dialog.
+ * Clicks inside shadow roots reach the document retargeted to their host,
+ * so the link is looked up along the composed path.
+ * @param {MouseEvent} event
+ */
+function handleLinkClick(event) {
+    if (event.defaultPrevented) return;
+
+    const selector = `a.quelora-link[data-link-policy="${POLICY_WARN}"], a.quelora-link-preview[data-link-policy="${POLICY_WARN}"]`;
+    const link = event.composedPath().find(element => element.matches?.(selector));
+    if (!link) return;
+
+    event.preventDefault();
+    UiModule.showExternalLinkWarningUI(link.href);
+}
+
+// ==================== PUBLIC API ====================
+const LinksModule = {
+    initializeLinks,
+    destroyLinks,
+    getLinkPolicy,
+    unfurlLink,
+    hydrateLinkPreviews
+};
+
+export default LinksModule;
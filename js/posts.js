@@ -31,11 +31,13 @@
  * You should have received a copy of the GNU General Public License
  * along with this program. If not, see <https://www.gnu.org/licenses/>.
  */
+import ConfModule from './conf.js';
 import UtilsModule from './utils.js';
 import CommentsModule from './comments.js';
 import CoreModule from './core.js';
 import UiModule from './ui.js'; 
 import EntityModule from './entity.js';
+import ShadowDomModule from './shadowDom.js';
 import ToastModule from './toast.js';
 import I18n from './i18n.js';
 import AnchorModule from './anchor.js';
@@ -52,6 +54,8 @@ let token;             // Authentication token
 let cid;               // Client/Community ID
 let timeoutId;         // Timeout ID for long-press detection
 let longPressAction;   // Flag indicating if a long-press action was triggered
+const watchedElements = new WeakMap(); // Interaction bar -> observer registry key
+const visibleEntities = new Set();     // Entities whose bar is in the viewport
 
 // ==================== HELPERS ====================
 /**
@@ -123,13 +127,13 @@ async function setLike(entityId, liked) {
     try {
         token = await CoreModule.getTokenIfNeeded(); 
 
-        const interactionElement = UiModule.getEntityInteractionUI(entityId);
-        if (!interactionElement) {
+        const interactionElements = UiModule.getEntityInteractionsUI(entityId);
+        if (!interactionElements.length) {
             console.error(`Element with data-entity-interaction "${entityId}" not found.`);
             return;
         }
         
-        UiModule.updateLikeUI(interactionElement, liked);
+        interactionElements.forEach(interactionElement => UiModule.updateLikeUI(interactionElement, liked));
         workerInstance.postMessage({
             action: 'setLike',
             payload: { token, entityId, liked, cid }
@@ -195,6 +199,108 @@ async function fetchStats() {
     }
 }
 
+/**
+ * Makes sure an entity's configuration (limits, interaction flags...) is
+ * cached, fetching its stats when no interaction bar did
+ * @param {string} entityId - The ID of the post/entity
+ */
+async function ensureEntityConfig(entityId) {
+    if (UtilsModule.getConfig(entityId)) return;
+
+    try {
+        const payload = await workerInstance.request('fetchStats', { entities: [entityId], cid, token });
+        payload?.posts?.forEach(stat => UtilsModule.setStatsCache(stat));
+    } catch (error) {
+        handleError(error, 'PostsModule.ensureEntityConfig');
+    }
+}
+
+// ==================== LIVE COUNTERS ====================
+/**
+ * Tells the worker which entities are on screen so it only streams their counters
+ */
+const postVisibleEntities = UtilsModule.debounce(() => {
+    workerInstance?.postMessage({
+        action: 'watchEntities',
+        payload: { entities: Array.from(visibleEntities), token, cid }
+    });
+}, 500);
+
+/**
+ * Starts tracking an interaction bar's visibility for live counter updates
+ * @param {HTMLElement} interactionElement - The interaction bar
+ * @param {string} entityId - The ID of the post/entity
+ */
+function watchEntityVisibility(interactionElement, entityId) {
+    try {
+        if (!ConfModule.get('network.realtime.enabled', false) || !ConfModule.get('network.realtime.counters', true)) return;
+        if (!interactionElement || watchedElements.has(interactionElement)) return;
+
+        const observer = new IntersectionObserver(([entry]) => {
+            entry.isIntersecting ? visibleEntities.add(entityId) : visibleEntities.delete(entityId);
+            postVisibleEntities();
+        });
+
+        observer.observe(interactionElement);
+        const key = UtilsModule.registerObserver(observer, interactionElement, 'intersection', null);
+        watchedElements.set(interactionElement, key);
+    } catch (error) {
+        handleError(error, 'PostsModule.watchEntityVisibility');
+    }
+}
+
+/**
+ * Drops observers, counters and cached config of entities whose bar or
+ * element is no longer in the document, e.g. after a client-side route
+ * change. The entity whose thread is open keeps its config.
+ */
+function releaseDetachedEntities() {
+    try {
+        // Bars placed before or after a target outside their entity stay connected when it goes
+        const registered = new Set(EntityModule.getRegisteredEntities());
+        const entityElements = new Set(ShadowDomModule.querySelectorAllDeep('[data-entity]')
+            .map(el => el.getAttribute('data-entity')));
+        ShadowDomModule.querySelectorAllDeep('[data-entity-interaction]').forEach(bar => {
+            const entityId = bar.getAttribute('data-entity-interaction');
+            if (!registered.has(entityId) && !entityElements.has(entityId)) ShadowDomModule.removeBar(bar);
+        });
+
+        for (const [key, { element, type }] of UtilsModule.getRegisteredObservers()) {
+            if (type !== 'intersection' || element.isConnected) continue;
+            UtilsModule.unregisterObserver(key);
+            watchedElements.delete(element);
+        }
+
+        const connected = new Set([
+            ...ShadowDomModule.querySelectorAllDeep('[data-entity-interaction]')
+                .map(el => el.getAttribute('data-entity-interaction')),
+            ...EntityModule.getRegisteredEntities()
+        ]);
+        const openEntity = UiModule.getCommunityThreadsUI()?.getAttribute('data-threads-entity');
+
+        let visibilityChanged = false;
+        visibleEntities.forEach(entityId => {
+            if (connected.has(entityId)) return;
+            visibleEntities.delete(entityId);
+            visibilityChanged = true;
+        });
+        if (visibilityChanged) postVisibleEntities();
+
+        UtilsModule.getCachedEntities()
+            .filter(entityId => !connected.has(entityId) && entityId !== openEntity)
+            .forEach(entityId => UtilsModule.deleteStatsCache(entityId));
+    } catch (error) {
+        handleError(error, 'PostsModule.releaseDetachedEntities');
+    }
+}
+
+/**
+ * Forgets the visible entities; their observers are released through the UtilsModule registry
+ */
+function stopWatchingEntities() {
+    visibleEntities.clear();
+}
+
 // ==================== EVENT HANDLERS ====================
 /**
  * Handles like button click
@@ -202,7 +308,7 @@ async function fetchStats() {
  */
 async function handleLike(entityId) {
     try {
-        const interactionElement = UiModule.getEntityInteractionUI(entityId);
+        const [interactionElement] = UiModule.getEntityInteractionsUI(entityId);
         const likeButton = interactionElement?.querySelector('.like-icon');
         if (!likeButton) {
             console.error(`Like button not found for entity: ${entityId}`);
@@ -221,7 +327,7 @@ async function handleLike(entityId) {
  */
 async function handleShare(entityId) {
     try {
-        const interactionElement = UiModule.getEntityInteractionUI(entityId);
+        const [interactionElement] = UiModule.getEntityInteractionsUI(entityId);
         const shareButton = interactionElement?.querySelector('.share-icon');
 
         const shareHash = AnchorModule.generateLink({
@@ -284,14 +390,14 @@ async function handleShare(entityId) {
  */
 async function handleBookmark(entityId) {
     try {
-        const interactionElement = UiModule.getEntityInteractionUI(entityId);
-        const bookmarkButton = interactionElement?.querySelector('.bookmark');
+        const interactionElements = UiModule.getEntityInteractionsUI(entityId);
+        const bookmarkButton = interactionElements[0]?.querySelector('.bookmark');
         if (!bookmarkButton) {
             console.error(`Bookmark button not found for entity: ${entityId}`);
             return;
         }
         const isAttached = bookmarkButton.getAttribute('data-attached') === 'true';
-        bookmarkButton.setAttribute('data-attached', !isAttached);
+        interactionElements.forEach(interactionElement => interactionElement.querySelector('.bookmark')?.setAttribute('data-attached', !isAttached));
         await fetchBookmark(entityId, !isAttached);
     } catch (error) {
         handleError(error, 'PostsModule.handleBookmark');
@@ -303,13 +409,22 @@ async function handleBookmark(entityId) {
  * @param {string} entityId - The ID of the post/entity
  */
 function attachEventListeners(entityId) {
-    try {
-        const interactionContainer = UiModule.getEntityInteractionUI(entityId);
-        if (!interactionContainer) {
-            console.warn(`Interaction container not found for entity: ${entityId}`);
-            return;
-        }
+    const interactionContainers = UiModule.getEntityInteractionsUI(entityId);
+    if (!interactionContainers.length) {
+        console.warn(`Interaction container not found for entity: ${entityId}`);
+        return;
+    }
+
+    interactionContainers.forEach(interactionContainer => attachBarListeners(interactionContainer, entityId));
+}
 
+/**
+ * Attaches event listeners to one interaction bar of a post
+ * @param {HTMLElement} interactionContainer - The interaction bar
+ * @param {string} entityId - The ID of the post/entity
+ */
+function attachBarListeners(interactionContainer, entityId) {
+    try {
         // Clone and replace buttons to prevent duplicate event listeners
         const likeButton = interactionContainer.querySelector('.like-icon');
         if (likeButton) {
@@ -426,15 +541,22 @@ function attachEventListeners(entityId) {
  * @param {boolean} [includeLast] - Whether to include the last comment in results
  */
 async function loadThread(entityId, lastCommentId = null, includeLast = false) {
+    // An inline <quelora-thread> only shows its own entity; other bars open the drawer
+    if (UiModule.commentsDrawerUI.inline && UiModule.commentsDrawerUI.inlineOwner !== entityId) {
+        UiModule.commentsDrawerUI.mountInline(null);
+    }
+
     if (lastCommentId === null) {
         CommentsModule.attachCommentInputListener(entityId);
         UiModule.createEmojiPickerBarUI();
+        UiModule.createFormattingToolbarUI();
         UiModule.resetModalUI();
         UtilsModule.setInputLimit(
             UtilsModule.getConfig(entityId)?.limits?.comment_text
         );
        
     }
+    CommentsModule.restoreDraft(entityId);
     UiModule.commentsDrawerUI.open();
     CommentsModule.fetchComments(entityId, lastCommentId, includeLast);
 
@@ -456,8 +578,8 @@ async function loadNested(entityId, commentId, replyId) {
  */
 async function updateAllInteractionBars() {
     try {
-        const entities = Array.from(UiModule.getEntityInteractionUI())
-            .map(el => el.getAttribute("data-entity-interaction"));
+        const entities = [...new Set(UiModule.getEntityInteractionsUI()
+            .map(el => el.getAttribute("data-entity-interaction")))];
 
         if (entities.length === 0) return;
 
@@ -476,6 +598,7 @@ async function updateAllInteractionBars() {
 const PostsModule = {
     initializePost,
     fetchStats,
+    ensureEntityConfig,
     setLike,
     fetchBookmark,
     attachEventListeners,
@@ -485,6 +608,9 @@ const PostsModule = {
     handleLike,
     handleBookmark,
     updateAllInteractionBars,
+    watchEntityVisibility,
+    stopWatchingEntities,
+    releaseDetachedEntities,
     loadThread,
     loadNested
 };
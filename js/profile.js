@@ -188,6 +188,11 @@ const postMessage = (action, payload) => {
     });
 };
 
+/**
+ * Same as postMessage, but resolves with the worker reply.
+ */
+const request = (action, payload) => workerInstance.request(action, { ...payload, token, cid });
+
 // ==================== CORE FUNCTIONS ====================
 async function initializeProfile(dependencies) {
     try {
@@ -201,7 +206,7 @@ async function initializeProfile(dependencies) {
 const setToken = (newToken) => { token = newToken; };
 
 // ==================== PROFILE ACTIONS ====================
-const fetchOwnProfile = () => postMessage('getMyProfile', {});
+const fetchOwnProfile = () => request('getMyProfile', {});
 const fetchUpdateProfile = async (name, value) => postMessage('updateProfile', { name, value });
 
 const loadProfileWithUI = async (action, data) => {
@@ -297,7 +302,7 @@ const isLogin = () => {
 /**
  * Return JSON data user
  */
-const getOwnProfile = async (forceServerFetch = false, maxAttempts = 5, delayMs = 400) => {
+const getOwnProfile = async (forceServerFetch = false) => {
     if (!forceServerFetch) {
         const cachedProfile = StorageModule.getSessionItem('quelora_profile');
         if (cachedProfile) {
@@ -319,32 +324,13 @@ const getOwnProfile = async (forceServerFetch = false, maxAttempts = 5, delayMs
 
     profileFetchLock = (async () => {
         try {
-            let profile;
-            let attempt = 0;
-
-            // Always try to fetch from the server if there is no cache or it is forced
-            fetchOwnProfile();
-
-            while (attempt < maxAttempts) {
-                await UtilsModule.wait(delayMs);
-                const cachedProfile = StorageModule.getSessionItem('quelora_profile');
-                if (cachedProfile) {
-                    try {
-                        const decryptedProfile = await decryptProfile(cachedProfile, token);
-                        userProfile = JSON.parse(decryptedProfile);
-                        return userProfile; 
-                    } catch (error) {
-                        handleError(error, 'ProfileModule.getOwnProfile decrypt retry');
-                        // Clear invalid cached profile
-                        StorageModule.removeSessionItem('quelora_profile');
-                    }
-                }
-                attempt++;
+            // Always fetch from the server if there is no cache or it is forced
+            const result = await fetchOwnProfile();
+            if (!result?.profile) throw new Error('Empty profile response');
 
-                if (attempt === maxAttempts) {
-                    throw new Error(`Failed to get profile after ${maxAttempts} attempts`);
-                }
-            }
+            await saveMyProfile(result.profile);
+            userProfile = result.profile;
+            return userProfile;
         } finally {
             profileFetchLock = null;
         }
@@ -2109,6 +2095,7 @@ try {
 };
 
 const ProfileModule = {
+    stopNotifications,
     isBlockedAuthor,
     refreshBlockedAuthors,
     initializeProfile,
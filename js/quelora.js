@@ -46,6 +46,13 @@ import IconsModule from './icons.js';
 import StorageModule from './storage.js';
 import AIModule from './ai.js';
 import CaptchaModule from './captcha.js';
+import ToastModule from './toast.js';
+import WorkerClient from './workerClient.js';
+import RouterModule from './router.js';
+import EntityModule from './entity.js';
+import ElementsModule from './elements.js';
+import LinksModule from './links.js';
+import ShadowDomModule from './shadowDom.js';
 
 //import WORKER_CONTENT from './queloraWorker.js'; //Just for compile!!
 
@@ -53,6 +60,10 @@ const Quelora = (() => {
     // ==================== STATE & CONFIGURATION ====================
     let instance;
     let worker;
+    let lifecycle = null; // AbortController removing the window listeners on destroy
+    let unsubscribeSession = null;
+    let configSubscriptions = []; // ConfModule.onChange unsubscribe functions
+    let geolocation = [null, null]; // [ip, location] sent to the worker
     let token = null;
     let cid = null;
     let currentScriptPath;
@@ -74,7 +85,7 @@ const Quelora = (() => {
         try {
             const clientId = ConfModule.get('cid');
             if (!clientId?.trim()) {
-                throw new Error('Client ID parameter is required.');
+                throw new Error('Client ID parameter is required (set cid in QUELORA_CONFIG, data-quelora-cid on the script tag or the #quelora-config block).');
             }
             if (!/^QU-[A-Z0-9]{8}-[A-Z0-9]{5}$/i.test(clientId)) {
                 throw new Error('Invalid Client ID format. Expected pattern: QU-XXXXXXXX-XXXXX');
@@ -126,6 +137,40 @@ const Quelora = (() => {
         }
     };
 
+    /**
+     * Builds the worker init payload from the current configuration.
+     */
+    const getWorkerInitPayload = (ConfModule, [ip, location]) => ({
+        ip,
+        location,
+        apiUrl: ConfModule.get('apiUrl'),
+        useCaptcha: ConfModule.get('captcha.enabled') || false,
+        retry: ConfModule.get('network.retry', {}),
+        cache: ConfModule.get('network.cache', {}),
+        realtime: ConfModule.get('network.realtime', {}),
+        transport: ConfModule.get('network.transport', 'http'),
+        mock: ConfModule.get('network.mock', {}),
+        session: SessionModule.getSessionId()
+    });
+
+    /**
+     * (Re)initializes the captcha provider, or removes it when disabled.
+     */
+    const initializeCaptcha = async (ConfModule, CaptchaModule) => {
+        CaptchaModule.destroy();
+        if (!ConfModule.get('captcha.enabled')) return;
+
+        try {
+            await CaptchaModule.initialize(
+                ConfModule.get('captcha.provider'),
+                ConfModule.get('captcha.siteKey'),
+                ConfModule.get('captcha.options', {})
+            );
+        } catch (error) {
+            handleError(error, 'Quelora.initializeCaptcha');
+        }
+    };
+
     /**
      * Initializes the emoji picker.
      */
@@ -203,30 +248,53 @@ const Quelora = (() => {
             ProfileModule.saveMyProfile(payload.profile);
             ProfileModule.updateFollowState(originalPayload.memberId, 'userUnfollowed', payload?.requiresApproval || false);
         },
+        followRequestCancelled: (payload, originalPayload) => {
+            ProfileModule.saveMyProfile(payload.profile);
+            ProfileModule.updateFollowState(originalPayload.memberId, 'userUnfollowed', false);
+        },
         userApprovefollowed: (payload, originalPayload) => {
             ProfileModule.saveMyProfile(payload.profile);
             ProfileModule.updateFollowState(originalPayload.memberId, 'userApprovefollowed', payload);
         },
         followingActivities: (payload) => UiModule.renderActivitiesUI(payload),
         statsFetched: (payload) => UiModule.renderStatsUI(payload.posts),
-        likeUpdated: (payload, originalPayload) => UiModule.updateCounterUI(document.querySelector(`[data-entity-interaction="${originalPayload.entityId}"]`), payload.likesCount, payload.liked),
-        bookmarkUpdated: (payload, originalPayload) => UiModule.updateBookmarkUI(document.querySelector(`[data-entity-interaction="${originalPayload.entityId}"]`), payload.attach),
+        statsUpdated: (payload) => payload.forEach((stat) => {
+            UiModule.getEntityInteractionsUI(stat.entity).forEach((interactionElement) => {
+                UiModule.updateCounterUI(interactionElement, stat.likesCount, undefined, '.like-count');
+                UiModule.updateCounterUI(interactionElement, stat.commentsCount, undefined, '.comment-count');
+                UiModule.updateCounterUI(interactionElement, stat.sharesCount, undefined, '.share-count');
+            });
+        }),
+        likeUpdated: (payload, originalPayload) => UiModule.getEntityInteractionsUI(originalPayload.entityId)
+            .forEach((interactionElement) => UiModule.updateCounterUI(interactionElement, payload.likesCount, payload.liked)),
+        bookmarkUpdated: (payload, originalPayload) => UiModule.getEntityInteractionsUI(originalPayload.entityId)
+            .forEach((interactionElement) => UiModule.updateBookmarkUI(interactionElement, payload.attach)),
         commentThread: (payload) => CommentsModule.renderComments(payload),
         repliesThread: (payload) => CommentsModule.renderComments(payload),
-        commentCreated: (payload) => {
+        commentCreated: (payload, originalPayload, meta = {}) => {
+            if (meta.live) return CommentsModule.receiveLiveComment(payload);
+            CommentsModule.clearSubmittedDraft(originalPayload);
+            if (CommentsModule.claimLiveComment(payload)) return;
             UiModule.updateCommentUI(payload.entityId, payload);
             UiModule.updateCommentCountUI(payload.entityId, true);
         },
+        commentEdited: (payload, originalPayload, meta = {}) => {
+            if (meta.live) return CommentsModule.receiveLiveComment(payload);
+            UiModule.updateCommentUI(payload.entityId, payload);
+        },
         commentBlocked: (payload) => UiModule.renderErrorMessageUI(payload.message),
         internalError: (payload) => UiModule.renderErrorMessageUI(payload.message),
         likeCommentUpdated: (payload, originalPayload) => UiModule.updateCounterUI(UiModule.getCommentHeaderUI(originalPayload.commentId, false), payload.likesCount, payload.liked),
         getCommentLikesUpdated: (payload) => ProfileModule.renderProfileListLikes(payload),
         getLikeUpdated: (payload) => ProfileModule.renderProfileListLikes(payload),
         shareUpdated: (payload) => UiModule.updateCommentCountUI(payload.entityId, false),
-        delComment: (payload) => UiModule.updateCommentCountUI(payload.entityId, false),
+        delComment: (payload, originalPayload, meta = {}) => meta.live
+            ? CommentsModule.removeLiveComment(payload)
+            : UiModule.updateCommentCountUI(payload.entityId, false),
         returnProfile: (payload) => ProfileModule.renderProfile(payload.profile),
-        returnMyProfile: (payload) => ProfileModule.saveMyProfile(payload.profile),
         offline: (payload) => console.error('No internet connection:', payload),
+        outboxQueued: (payload) => handleOutboxQueued(payload, UiModule),
+        outboxResult: (payload, originalPayload) => handleOutboxResult(payload, originalPayload, getOutboxRollbackHandlers({ ProfileModule, UiModule })),
         invalidToken: () => SessionModule.logout(),
         reportedComment: (payload) => UiModule.renderReportedUI(payload),
         translatedComment: (payload, originalPayload) => CommentsModule.renderTranslate(originalPayload.commentId, payload.translation),
@@ -239,7 +307,7 @@ const Quelora = (() => {
         returnAudio: (payload) => UiModule.handleAudioResponseUI(payload.commentId, payload.audio),
         updatedSettingsProfile: (payload) => ProfileModule.saveMyProfile(payload.profile),
         returnMention: (payload) => ProfileModule.renderProfile(payload.profile),
-        error: (payload) => console.error(payload?.details?.message || payload?.message, 'Fetch/XHR', payload),
+        error: (payload, originalPayload, { error }) => console.error(error?.details?.message || error?.message, 'Fetch/XHR', { ...payload, error }),
         searchMentionResults: (payload) => ProfileModule.renderMentionResults(payload.result),
         searchAccountsResults: (payload) => ProfileModule.renderSearchAccountsResults(payload.result),
         returnBlocked: (payload) => ProfileModule.renderBlockedUsers(payload.result),
@@ -247,21 +315,122 @@ const Quelora = (() => {
         getAnalysisResult: (payload) => AIModule.renderAnalysisModal(payload),
     });
 
-    const handleWorkerMessage = (event, handlers) => {
+    /**
+     * Map of rollbacks for optimistic UI changes whose queued offline action
+     * was finally rejected by the server.
+     */
+    const getOutboxRollbackHandlers = ({ ProfileModule, UiModule }) => ({
+        setLike: (payload) => UiModule.getEntityInteractionsUI(payload.entityId)
+            .forEach((interactionElement) => UiModule.updateLikeUI(interactionElement, !payload.liked)),
+        toggleBookmark: (payload) => UiModule.getEntityInteractionsUI(payload.entityId).forEach((interactionElement) => {
+            interactionElement.querySelector('.bookmark')?.setAttribute('data-attached', !payload.attached);
+            UiModule.updateBookmarkUI(interactionElement, !payload.attached);
+        }),
+        followUser: (payload) => ProfileModule.updateFollowState(payload.memberId, 'userUnfollowed'),
+        unfollowUser: (payload) => ProfileModule.updateFollowState(payload.memberId, 'userFollowed'),
+        createComment: () => ToastModule.error('error', '{{error}}', I18n.getTranslation('outboxCommentFailed'), null, 5000),
+    });
+
+    /**
+     * Handles the outcome of an action replayed from the worker outbox.
+     * Successful items are confirmed by the regular success message, so only
+     * failures need to undo the optimistic state.
+     */
+    const handleOutboxResult = (payload, originalPayload, rollbackHandlers) => {
+        // Dropped items belong to another sign-in; rolling them back would touch this user's state
+        if (payload.ok || payload.dropped) return;
+        console.error(`Queued ${payload.action} was rejected:`, payload.message);
+        rollbackHandlers[payload.action]?.(originalPayload);
+    };
+
+    /**
+     * Informs the user that an action was stored to be sent once back online.
+     */
+    const handleOutboxQueued = (payload, UiModule) => {
+        if (payload.action === 'createComment') {
+            UiModule.getCommunityThreadsUI()?.querySelector('.quelora-loading-message')?.remove();
+            ToastModule.info('schedule_send', '{{offline}}', I18n.getTranslation('outboxCommentQueued'), null, 5000);
+        }
+    };
+
+    /**
+     * Handlers for fresher data that arrives after a stale cached response was
+     * already rendered. Actions without an entry here keep the stale render.
+     */
+    const getRevalidationHandlers = ({ CommentsModule, UiModule }) => ({
+        statsFetched: (payload) => UiModule.renderStatsUI(payload.posts),
+        commentThread: (payload, originalPayload) => {
+            // A refresh for a sort the reader already switched away from is dropped
+            if (!originalPayload.lastCommentId && originalPayload.sort === CommentsModule.getThreadSort()) {
+                CommentsModule.refreshComments(payload);
+            }
+        },
+    });
+
+    /**
+     * Dispatches a worker envelope to its handler. Failed envelopes without a
+     * dedicated handler fall back to `error`; replies a module awaited need no handler.
+     */
+    const handleWorkerMessage = (message, handlers, revalidationHandlers = {}, { awaited = false } = {}) => {
         try {
-            const { action, payload, originalPayload } = event.data;
-            const handler = handlers[action];
+            const { action, ok, error, payload, originalPayload, revalidated, live } = message;
+
+            if (revalidated) {
+                revalidationHandlers[action]?.(payload, originalPayload);
+                return;
+            }
+
+            const handler = handlers[action] || (!ok && handlers.error);
 
             if (handler) {
-                handler(payload, originalPayload);
-            } else {
-                console.error(`Unknown worker action: ${action}`, 'general');
+                handler(payload, originalPayload, { live: Boolean(live), ok, error });
+            } else if (!awaited) {
+                throw new Error(`Unknown worker action: ${action}`);
             }
         } catch (error) {
             handleError(error, 'Quelora.handleWorkerMessage');
         }
     };
 
+    // ==================== PUBLIC EVENTS ====================
+    const eventListeners = new Map();
+
+    /**
+     * Worker actions surfaced to host pages, mapped to [event name, detail].
+     */
+    const publicEvents = {
+        commentCreated: (payload, originalPayload, live) => ['comment:created', { entityId: payload.entityId, replyId: payload.replyId || null, comment: payload.comment, live }],
+        commentEdited: (payload, originalPayload, live) => ['comment:edited', { entityId: payload.entityId, replyId: payload.replyId || null, comment: payload.comment, live }],
+        delComment: (payload, originalPayload, live) => ['comment:deleted', { entityId: payload.entityId, commentId: payload.commentId || originalPayload?.commentId || null, live }],
+        likeUpdated: (payload, originalPayload) => ['like:changed', { entityId: originalPayload.entityId, commentId: null, liked: payload.liked, likesCount: payload.likesCount }],
+        likeCommentUpdated: (payload, originalPayload) => ['like:changed', { entityId: originalPayload.entityId, commentId: originalPayload.commentId, liked: payload.liked, likesCount: payload.likesCount }],
+    };
+
+    const emitEvent = (event, detail) => {
+        eventListeners.get(event)?.forEach((listener) => {
+            try {
+                listener(detail);
+            } catch (error) {
+                handleError(error, `Quelora listener for ${event}`);
+            }
+        });
+    };
+
+    /**
+     * Re-emits a successful worker message as a public event, if it maps to one.
+     */
+    const emitWorkerEvent = (message) => {
+        try {
+            const { action, ok, payload, originalPayload, revalidated, live } = message;
+            if (!ok || revalidated || !publicEvents[action]) return;
+
+            const [event, detail] = publicEvents[action](payload, originalPayload, Boolean(live));
+            emitEvent(event, detail);
+        } catch (error) {
+            handleError(error, 'Quelora.emitWorkerEvent');
+        }
+    };
+
     /**
      * Map of handlers for anchor/hash actions.
      */
@@ -290,9 +459,9 @@ const Quelora = (() => {
         };
     };
 
-    const checkAndHandleAnchor = async (handlers) => {
+    const checkAndHandleAnchor = async (handlers, delay = 1000) => {
         try {
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            if (delay) await new Promise(resolve => setTimeout(resolve, delay));
             const hash = window.location.hash.substring(1);
             if (!hash.startsWith('QUELORA-') || hash.length > 1000) return;
 
@@ -313,33 +482,106 @@ const Quelora = (() => {
         }
     };
 
-    const initConnectionListeners = (PostsModule) => {
-        window.addEventListener('online', () => PostsModule.fetchStats());
-        window.addEventListener('offline', () => console.error("No internet connection.", 'error'));
+    /**
+     * Router mode: after a client-side navigation, forgets entities that left
+     * the page, picks up the new ones and follows a #QUELORA- anchor right away.
+     */
+    const handleRouteChange = async (anchorHandlers) => {
+        try {
+            PostsModule.releaseDetachedEntities();
+            await PostsModule.fetchStats();
+            await checkAndHandleAnchor(anchorHandlers, 0);
+        } catch (error) {
+            handleError(error, 'Quelora.handleRouteChange');
+        }
+    };
+
+    /**
+     * Asks the worker to send the actions queued while offline.
+     */
+    const replayOutbox = () => {
+        if (!worker || navigator.onLine === false) return;
+        worker.postMessage({ action: 'replayOutbox', payload: { token: SessionModule.getTokenIfAvailable() } });
+    };
+
+    const initConnectionListeners = (PostsModule, signal) => {
+        window.addEventListener('online', () => {
+            replayOutbox();
+            PostsModule.fetchStats();
+        }, { signal });
+        window.addEventListener('offline', () => console.error("No internet connection.", 'error'), { signal });
+    };
+
+    // ==================== RUNTIME CONFIGURATION ====================
+    /**
+     * Sends the current configuration to the worker again.
+     */
+    const reinitializeWorker = () => worker?.init(getWorkerInitPayload(ConfModule, geolocation))
+        .catch(error => handleError(error, 'Quelora.reinitializeWorker'));
+
+    /**
+     * Re-applies the parts of the configuration that are read once during init
+     * when the host changes them through updateConfig.
+     */
+    const watchConfig = () => {
+        const appliers = {
+            apiUrl: (value) => {
+                apiUrl = value;
+                reinitializeWorker();
+            },
+            network: reinitializeWorker,
+            captcha: async () => {
+                await initializeCaptcha(ConfModule, CaptchaModule);
+                reinitializeWorker();
+            },
+            geolocation: async () => {
+                geolocation = await initializeGeolocation(ConfModule);
+                reinitializeWorker();
+            },
+            theme: () => UiModule.applyThemeUI(UiModule.getPreferredThemeUI())
+        };
+
+        configSubscriptions = Object.entries(appliers).map(([keyPath, apply]) => ConfModule.onChange(keyPath, apply));
     };
 
     // ==================== INITIALIZATION ====================
     async function init(enableEmojiPicker = true) {
         try {
-            const useCaptcha =  ConfModule.get('captcha.enabled') || false;
             // Set configuration and global variables
             currentScriptPath = UtilsModule.getCurrentScriptPath();
-            apiUrl = ConfModule.get('apiUrl');
             if (!(cid = getValidatedClientId(ConfModule))) return;
+            // Site-wide settings delivered by the API sit beneath the page configuration
+            await ConfModule.loadRemoteConfig();
+            const useCaptcha =  ConfModule.get('captcha.enabled') || false;
+            apiUrl = ConfModule.get('apiUrl');
 
+            lifecycle = new AbortController();
             appendQueloraToDocument();
 
-            const [ip, location] = await initializeGeolocation(ConfModule);
+            geolocation = await initializeGeolocation(ConfModule);
 
             // Initialize Worker and listeners
-            worker = initWorker(ConfModule);
+            worker = new WorkerClient(initWorker(ConfModule));
             const workerMessageHandlers = getWorkerMessageHandlers({ CommentsModule, ProfileModule, UiModule, SessionModule });
-            worker.addEventListener('message', (e) => handleWorkerMessage(e, workerMessageHandlers));
-            worker.postMessage({ action: 'init', payload: { ip, location, apiUrl, useCaptcha } });
-
-            initConnectionListeners(PostsModule);
+            const revalidationHandlers = getRevalidationHandlers({ CommentsModule, UiModule });
+            worker.onMessage((message, meta) => {
+                handleWorkerMessage(message, workerMessageHandlers, revalidationHandlers, meta);
+                emitWorkerEvent(message);
+            });
+            unsubscribeSession = SessionModule.onSessionChange(({ authenticated }) => {
+                // The worker ties queued offline actions to the sign-in that made them
+                worker?.postMessage({ action: 'setSession', payload: { session: SessionModule.getSessionId() } });
+                emitEvent('session:changed', { authenticated });
+            });
+            await worker.init(getWorkerInitPayload(ConfModule, geolocation));
+
+            initConnectionListeners(PostsModule, lifecycle.signal);
             const anchorHandlers = getAnchorHandlers({ PostsModule, ProfileModule, UiModule });
-            window.addEventListener('popstate', () => checkAndHandleAnchor(anchorHandlers));
+            if (ConfModule.get('router.enabled', false)) {
+                RouterModule.startRouter(() => handleRouteChange(anchorHandlers), { settleDelay: ConfModule.get('router.settleDelay', 50) });
+            } else {
+                window.addEventListener('popstate', () => checkAndHandleAnchor(anchorHandlers), { signal: lifecycle.signal });
+            }
 
             token = await CoreModule.getTokenIfNeeded(token, true);
             await IconsModule.initializeIcons();
@@ -354,12 +596,14 @@ const Quelora = (() => {
             await PostsModule.initializePost(moduleConfig);
             await CommentsModule.initializeComments(moduleConfig);
             await AIModule.initializeAI(moduleConfig);
+            LinksModule.initializeLinks(moduleConfig);
 
             // Initialize UI and background tasks
             await initializeEmojiPicker(enableEmojiPicker, EmojiModule, UtilsModule);
             i18nRun(I18n, StorageModule);
             UtilsModule.observeNewEntities();
             PostsModule.fetchStats();
+            replayOutbox();
 
             await checkAndHandleAnchor(anchorHandlers);
 
@@ -367,34 +611,232 @@ const Quelora = (() => {
                 ProfileModule.updateProfileOptionUI();
             }
 
-            if(useCaptcha){
-                const captchaConfig = {
-                    type: ConfModule.get('captcha.provider'),
-                    siteKey: ConfModule.get('captcha.siteKey'),
-                    options: ConfModule.get('captcha.options', {}),
-                };
-                await CaptchaModule.initialize(captchaConfig.type, captchaConfig.siteKey, captchaConfig.options);
-            }
+            await initializeCaptcha(ConfModule, CaptchaModule);
+            watchConfig();
+            ElementsModule.activate();
 
             console.log("%c\uD83D\uDCAC Quelora %cActive", "color: #4a4a4a; font-weight: bold; font-size: 12px;", "background-color: #4a4a4a; color: #ff5a5f; font-weight: bold; border-radius: 4px; padding: 3px 6px; font-size: 12px;");
+            return instanceApi;
         } catch (error) {
             handleError(error, 'Quelora.init');
             throw error; // Rethrow the error to notify the caller of initialization failure
         }
     }
 
+    // ==================== TEARDOWN ====================
+    /**
+     * Undoes everything init() set up so a later getInstance() starts clean.
+     */
+    const destroy = async () => {
+        if (!instance) return;
+        await instance.catch(() => null);
+
+        try {
+            lifecycle?.abort();
+            lifecycle = null;
+            RouterModule.stopRouter();
+            unsubscribeSession?.();
+            unsubscribeSession = null;
+            configSubscriptions.forEach(unsubscribe => unsubscribe());
+            configSubscriptions = [];
+            CaptchaModule.destroy();
+
+            ElementsModule.deactivate();
+            CommentsModule.destroyComments();
+            LinksModule.destroyLinks();
+            EntityModule.clearRegisteredEntities();
+            PostsModule.stopWatchingEntities();
+            ProfileModule.stopNotifications();
+            EmojiModule.destroyEmojiPicker();
+            IconsModule.stopObserving();
+            I18n.destroy();
+            UtilsModule.clearObservers();
+            ShadowDomModule.stopTracking();
+            UiModule.destroyUI();
+
+            worker?.terminate();
+            worker = null;
+        } catch (error) {
+            handleError(error, 'Quelora.destroy');
+        } finally {
+            eventListeners.clear();
+            ConfModule.reset();
+            instance = null;
+            token = null;
+        }
+    };
+
+    // ==================== INSTANCE API ====================
+    /**
+     * Programmatic API resolved by `Quelora.getInstance()`, for host pages that
+     * drive the widget from their own UI instead of the interaction bars.
+     */
+    const instanceApi = {
+        /**
+         * Opens the comments drawer for an entity.
+         * @param {string} entityId Entity whose thread to open.
+         * @param {string} [commentId] Comment to load the thread from.
+         * @returns {Promise<void>}
+         */
+        openThread: async (entityId, commentId = null) => {
+            if (!entityId) throw new Error('openThread requires an entityId');
+            UiModule.getCommunityThreadsUI()?.replaceChildren();
+            await PostsModule.loadThread(entityId, commentId, Boolean(commentId));
+        },
+
+        /**
+         * Closes the comments drawer, releasing the live subscription.
+         */
+        closeThread: () => {
+            UiModule.commentsDrawerUI.close();
+        },
+
+        /**
+         * Opens the sign-in modal unless a valid session already exists.
+         * @returns {Promise<Object>} The resulting session, see `getSession`.
+         */
+        login: async () => {
+            token = await CoreModule.getTokenIfNeeded(SessionModule.getTokenIfAvailable());
+            if (token) ProfileModule.updateProfileOptionUI();
+            return instanceApi.getSession();
+        },
+
+        /**
+         * Signs the user out and resets the session-dependent UI.
+         * @returns {Promise<void>}
+         */
+        logout: async () => {
+            await ProfileModule.logout();
+            token = null;
+        },
+
+        /**
+         * Refetches interaction counters, bypassing the worker cache.
+         * @param {string} [entityId] Entity to refresh; omit to refresh every bar on the page.
+         */
+        refresh: (entityId) => {
+            if (!entityId) return PostsModule.updateAllInteractionBars();
+            worker?.postMessage({ action: 'invalidate', payload: { entityId } });
+            return PostsModule.fetchStats();
+        },
+
+        /**
+         * Adds an entity that DOM scanning cannot find, e.g. one drawn in a canvas
+         * player or a virtual list; its stats are fetched and its bar rendered like
+         * those of scanned entities.
+         * @param {Object} options Entity to register.
+         * @param {string} options.id Entity ID.
+         * @param {string} [options.originalId] Original ID the entity maps to.
+         * @param {HTMLElement} [options.mount] Element the bar is placed relative to.
+         * @param {string} [options.position='inside'] 'inside', 'before', 'after' or 'replace'.
+         * @param {Function} [options.render] Receives (bar, entityId) and inserts the bar itself.
+         * @returns {Function} Unregister function, removing only this registration.
+         */
+        registerEntity: (options) => {
+            const registration = EntityModule.registerEntity(options);
+            PostsModule.fetchStats();
+            return () => {
+                const removed = EntityModule.unregisterEntity(options.id, registration);
+                if (removed) PostsModule.releaseDetachedEntities();
+                return removed;
+            };
+        },
+
+        /**
+         * Removes every registration of an entity, their bars and the state kept for it.
+         * @param {string} entityId Entity ID.
+         * @returns {boolean} Whether the entity was registered.
+         */
+        unregisterEntity: (entityId) => {
+            const removed = EntityModule.unregisterEntity(entityId);
+            if (removed) PostsModule.releaseDetachedEntities();
+            return removed;
+        },
+
+        /**
+         * Describes the current session.
+         * @returns {Promise<{authenticated: boolean, profile: Object|null}>}
+         */
+        getSession: async () => {
+            const authenticated = Boolean(SessionModule.getTokenIfAvailable());
+            const profile = authenticated
+                ? await ProfileModule.getOwnProfile().catch((error) => handleError(error, 'Quelora.getSession'))
+                : null;
+            return { authenticated, profile };
+        },
+
+        /**
+         * Subscribes to a widget event: 'comment:created', 'comment:edited',
+         * 'comment:deleted', 'like:changed' or 'session:changed'.
+         * @param {string} event Event name.
+         * @param {Function} callback Receives the event detail.
+         * @returns {Function} Unsubscribe function.
+         */
+        on: (event, callback) => {
+            if (!eventListeners.has(event)) eventListeners.set(event, new Set());
+            eventListeners.get(event).add(callback);
+            return () => instanceApi.off(event, callback);
+        },
+
+        /**
+         * Removes a listener added with `on`; omit the callback to remove all listeners of the event.
+         * @param {string} event Event name.
+         * @param {Function} [callback] Listener to remove.
+         */
+        off: (event, callback) => {
+            if (!callback) {
+                eventListeners.delete(event);
+                return;
+            }
+            eventListeners.get(event)?.delete(callback);
+        },
+
+        /**
+         * Drops the worker's cached responses for an entity so the next read hits the server.
+         * @param {string} [entityId] Entity to invalidate; omit to clear the whole cache.
+         */
+        invalidate: (entityId) => {
+            worker?.postMessage({ action: 'invalidate', payload: { entityId } });
+        },
+
+        /**
+         * Terminates the worker, disconnects observers and removes the injected
+         * DOM and listeners. Call `Quelora.getInstance()` again to start over.
+         * @returns {Promise<void>}
+         */
+        destroy
+    };
+
     // ==================== PUBLIC API ====================
     return {
         /**
          * Retrieves the singleton instance of Quelora.
          * @param {boolean} [enableEmojiPicker=true] Enables or disables the emoji picker.
-         * @returns {Promise} A promise that resolves when initialization is complete.
+         * @param {Object} [config] Configuration merged over window.QUELORA_CONFIG for a new instance.
+         * @returns {Promise<Object>} Resolves with the instance API once initialization is complete.
          */
-        getInstance: function (enableEmojiPicker = true) {
+        getInstance: function (enableEmojiPicker = true, config = null) {
             if (!instance) {
+                if (config) ConfModule.updateConfig(config);
                 instance = init(enableEmojiPicker);
             }
             return instance;
+        },
+
+        /**
+         * Tears down the current instance, if any.
+         * @returns {Promise<void>}
+         */
+        destroy: function () {
+            return destroy();
+        },
+
+        /**
+         * Drops the worker's cached responses for an entity so the next read hits the server.
+         * @param {string} [entityId] Entity to invalidate; omit to clear the whole cache.
+         */
+        invalidate: function (entityId) {
+            instanceApi.invalidate(entityId);
         }
     };
 })();
@@ -406,4 +848,6 @@ document.addEventListener("DOMContentLoaded", () => {
     } catch (error) {
         console.error('Error initializing Quelora on DOM load:', error);
     }
-});
\ No newline at end of file
+});
+
+export default Quelora;
\ No newline at end of file
@@ -38,6 +38,75 @@ let apiUrl = 'https://quelora.localhost.ar:444';
 let url = null;
 let queryParams = '';
 let useCaptcha = '';
+let isReplayingOutbox = false;
+let sessionOwner = null; // Sign-in the page is running under; queued actions are tied to it
+
+const OFFLINE_MESSAGE = 'No internet connection.';
+
+// ==================== PROTOCOL ====================
+/**
+ * Message protocol shared with js/workerClient.js. Requests arrive as
+ * { protocol, id, action, payload }; everything leaving the worker is an
+ * envelope { protocol, id, action, ok, payload, error, ... }. `id` echoes the
+ * request (null for pushed events) and `error` is { code, message, status,
+ * details } whenever `ok` is false. The version is agreed on `init`.
+ */
+const SUPPORTED_PROTOCOLS = [2];
+let protocolVersion = SUPPORTED_PROTOCOLS[SUPPORTED_PROTOCOLS.length - 1];
+
+const toErrorInfo = (code, error) => ({
+    code,
+    message: error?.message || String(error),
+    status: error?.status || null,
+    details: error?.details || null
+});
+
+/**
+ * Pushes a message that no request asked for (live events, counters, outbox results).
+ */
+function emit(message) {
+    self.postMessage({ protocol: protocolVersion, id: null, ok: true, error: null, ...message });
+}
+
+/**
+ * Answers a page request. `silent` replies only settle the awaiting promise.
+ * @param {Object} request - { id, action, payload }
+ * @param {Object} message - { action, payload, ok, error, ... }
+ */
+function respond(request, message) {
+    self.postMessage({
+        protocol: protocolVersion,
+        id: request?.id ?? null,
+        ok: true,
+        error: null,
+        originalAction: request?.action,
+        ...message
+    });
+}
+
+/**
+ * Answers a page request with an error envelope.
+ * @param {Object} request - { id, action, payload }
+ * @param {string} action - Page handler for the failure (e.g. 'invalidToken')
+ * @param {string} code - Machine-readable error code
+ * @param {Error|Object} error - Cause of the failure
+ * @param {Object} [extra] - Additional envelope fields
+ */
+function fail(request, action, code, error, extra = {}) {
+    respond(request, { action, ok: false, error: toErrorInfo(code, error), ...extra });
+}
+
+/**
+ * Response cache settings, overridable from the page through `network.cache`.
+ * Entries older than their action TTL are served stale (up to `maxStale`)
+ * while a revalidation runs; `maxBytes` caps both memory and disk copies.
+ */
+let cacheSettings = {
+    persistent: true,
+    staleWhileRevalidate: true,
+    maxStale: 86400000,
+    maxBytes: 5242880
+};
 
 const cache = new Map();
 const cacheConfig = {
@@ -48,143 +117,1604 @@ const cacheConfig = {
     'getMention': 60000,
     'getFollowingActivities': 60000,
     'getAnalysis': 60000,
+    'unfurlLink': 86400000,
 };
 
-function hashPayload(payload) {
-    const jsonString = JSON.stringify(payload);
-    return btoa(unescape(encodeURIComponent(jsonString)));
+// ==================== RETRY POLICY ====================
+/**
+ * Retry settings, overridable from the page through `network.retry`.
+ * Per-action policies: 'safe' retries network errors and transient statuses,
+ * 'unsafe' only retries statuses that guarantee the request was not processed,
+ * 'none' never retries.
+ */
+let retryConfig = {
+    enabled: true,
+    maxAttempts: 3,
+    baseDelay: 500,
+    maxDelay: 8000,
+    maxRetryAfter: 30000,
+    retryMutations: true,
+    actions: {}
+};
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const UNPROCESSED_STATUSES = [429, 503];
+
+// Mutations that set a final state instead of toggling or creating one
+const IDEMPOTENT_ACTIONS = ['updateProfile', 'updateSettings', 'unfollowUser', 'cancelFollowRequest', 'unblockUser', 'delComment'];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const abortError = () => new DOMException('The request was aborted.', 'AbortError');
+
+function getRetryPolicy(action, method = 'GET') {
+    if (!retryConfig.enabled) return 'none';
+    if (retryConfig.actions?.[action]) return retryConfig.actions[action];
+    return method === 'GET' || IDEMPOTENT_ACTIONS.includes(action) ? 'safe' : 'unsafe';
 }
 
-self.addEventListener('message', (event) => {
-    const { action, payload } = event.data;
+function isRetryableStatus(policy, status) {
+    if (policy === 'safe') return RETRYABLE_STATUSES.includes(status);
+    if (policy === 'unsafe') return retryConfig.retryMutations && UNPROCESSED_STATUSES.includes(status);
+    return false;
+}
 
-    if (action === 'init') {
-        sharedIp = payload.ip;
-        sharedLocation = payload.location;
-        apiUrl = payload.apiUrl || apiUrl;
-        useCaptcha = payload.useCaptcha || false;
-        return;
+/**
+ * Delay before the next attempt: the server's Retry-After when present,
+ * otherwise exponential backoff with jitter.
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Response|null} response - Failed response, null on network errors
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, response) {
+    const retryAfter = response?.headers?.get('Retry-After');
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+        if (!Number.isNaN(delay)) return Math.max(0, delay);
     }
 
-    const handleFetch = async (action, url, options, successAction, responseHandler = null) => {
-        const cacheDuration = cacheConfig[action];
-        const cacheKey = `${action}[${hashPayload(payload)}]`;
-        const forceRefresh = payload.forceRefresh === true;
+    const backoff = Math.min(retryConfig.maxDelay, retryConfig.baseDelay * 2 ** (attempt - 1));
+    return backoff / 2 + Math.random() * (backoff / 2);
+}
 
-        if (!forceRefresh && cacheDuration && cache.has(cacheKey)) {
-            const cachedEntry = cache.get(cacheKey);
-            if (Date.now() - cachedEntry.timestamp < cacheDuration) {
-                self.postMessage({ action: successAction, payload: cachedEntry.data, originalPayload: payload });
-                return;
-            }
-        }
-        
+/**
+ * Sends a request through the active transport applying the retry policy
+ * of the action. Resolves with the last response; rejects with
+ * OFFLINE_MESSAGE only when the browser was offline before a send. Any other
+ * transport failure may have reached the server, so it is rethrown as is.
+ * @param {Object} request - { action, payload }
+ */
+async function fetchWithRetry(request, url, init) {
+    const { action, payload } = request;
+    const policy = getRetryPolicy(action, init.method);
+    const maxAttempts = policy === 'none' ? 1 : Math.max(1, retryConfig.maxAttempts);
+
+    for (let attempt = 1; ; attempt++) {
+        if (!transport.local && self.navigator && self.navigator.onLine === false) throw new Error(OFFLINE_MESSAGE);
+
+        let response = null;
+        let sendError = null;
         try {
-            const headersWithData = {
-                ...options.headers,
-                ...(payload.cid && { 'X-Client-ID': payload.cid }),
-                ...(sharedIp && { 'X-IP': sharedIp }),
-                ...(payload.captchaToken && { 'X-Captcha-Token': payload.captchaToken }),
-                ...(sharedLocation && {
-                    'X-Country': sharedLocation.country || '',
-                    'X-Country-Code': sharedLocation.countryCode || '',
-                    'X-Region': sharedLocation.region || '',
-                    'X-Region-Code': sharedLocation.regionCode || '',
-                    'X-City': sharedLocation.city || '',
-                    'X-Lat': sharedLocation.lat || '',
-                    'X-Lon': sharedLocation.lon || '',
-                })
-            };
-
-            const response = await fetch(url, { ...options, headers: headersWithData });
-
-            if (!response.ok && !responseHandler) throw await parseFetchError(response);
-            if (responseHandler) return responseHandler(response, successAction, payload);
-
-            const data = await response.json();
-
-            if (cacheDuration) {
-                cache.set(cacheKey, {
-                    data: data,
-                    timestamp: Date.now()
-                });
+            response = await transport.send({ action, payload, url, init });
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            sendError = error;
+        }
+
+        const retryable = response ? isRetryableStatus(policy, response.status) : policy === 'safe';
+        if (attempt >= maxAttempts || !retryable) {
+            if (response) return response;
+            throw sendError;
+        }
+
+        const delay = getRetryDelay(attempt, response);
+        if (response && delay > retryConfig.maxRetryAfter) return response;
+
+        await wait(delay);
+        if (init.signal?.aborted) throw abortError();
+    }
+}
+
+// ==================== IN-FLIGHT REQUESTS ====================
+/**
+ * Requests currently on the wire. Identical reads share the same key as the
+ * response cache, so a second caller awaits the first fetch instead of
+ * starting its own. `waiters` counts callers; the fetch is only aborted once
+ * every caller holding a request id has cancelled it.
+ */
+const inFlight = new Map();
+const inFlightByRequestId = new Map();
+let flightCounter = 0;
+
+function trackRequestId(flightKey, entry, id) {
+    if (!id) return;
+    entry.requestIds.add(id);
+    inFlightByRequestId.set(id, flightKey);
+}
+
+/**
+ * Cancels the request a page message started, if it is still pending.
+ * @param {string} id - Id of the original message
+ */
+function abortRequest(id) {
+    const flightKey = inFlightByRequestId.get(id);
+    inFlightByRequestId.delete(id);
+
+    const entry = flightKey && inFlight.get(flightKey);
+    if (!entry || !entry.requestIds.delete(id)) return;
+
+    entry.waiters--;
+    if (entry.waiters <= 0) entry.controller.abort();
+}
+
+// ==================== PERSISTENT STORAGE ====================
+const DB_NAME = 'quelora-worker';
+const DB_VERSION = 2;
+const OUTBOX_STORE = 'outbox';
+const RESPONSE_STORE = 'responses';
+
+let dbPromise = null;
+
+/**
+ * Opens (and upgrades when needed) the worker IndexedDB database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
             }
+            if (!db.objectStoreNames.contains(RESPONSE_STORE)) {
+                const responses = db.createObjectStore(RESPONSE_STORE, { keyPath: 'key' });
+                responses.createIndex('accessedAt', 'accessedAt');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
 
-            self.postMessage({ action: successAction, payload: data, originalPayload: payload });
+    return dbPromise;
+}
 
-        } catch (error) {
+/**
+ * Runs a single request against an object store and resolves with its result.
+ * @param {string} storeName - Object store name
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>}
+ */
+async function storeRequest(storeName, mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
 
-            if (error.message === 'No internet connection.') {
-                self.postMessage({ action: 'offline', payload: { message: error.message } });
-            } else if (error.message === 'Invalid token') {
-                self.postMessage({ action: 'invalidToken', payload: { message: error.message }, originalPayload: payload, originalAction: action });
-            } else if (error.message === 'You have already reported this comment.') {
-                self.postMessage({ action: 'reportedComment', payload: { message: error.message } });
-            } else {
-                self.postMessage({ action: 'error', payload: { action, payload, message: error.message, status: error.status || 'unknown', details: error.details || null } });
+/**
+ * Walks an object store inside a single readwrite transaction, so no other
+ * request sees it half updated. `visit` may update or delete each record.
+ * @param {string} storeName - Object store name
+ * @param {IDBValidKey|IDBKeyRange|null} query - Records to visit, null for all
+ * @param {Function} visit - Receives an IDBCursorWithValue
+ * @returns {Promise<void>} Resolves once the transaction commits
+ */
+async function updateStore(storeName, query, visit) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        const request = transaction.objectStore(storeName).openCursor(query);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            visit(cursor);
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// ==================== RESPONSE CACHE ====================
+let memoryBytes = 0;
+let pruneTimer = null;
+let evictionCount = 0;
+const pendingEvictions = new Set();
+
+/**
+ * Short non-reversible hash, used to scope cached responses to a session
+ * without writing the token itself to disk.
+ */
+function hashString(value) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < value.length; i++) {
+        const char = value.charCodeAt(i);
+        h1 = Math.imul(h1 ^ char, 2654435761);
+        h2 = Math.imul(h2 ^ char, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Splits a payload into the parameters that identify a response and the
+ * cache key built from them. Credentials and refresh flags are left out;
+ * the transport and API URL are part of the scope, so responses from a
+ * mock backend or another API are never served for the current one.
+ */
+function getCacheKey(action, payload) {
+    const { token, captchaToken, forceRefresh, ...params } = payload || {};
+    const scope = `${token ? hashString(token) : 'anon'}:${hashString(`${transportName}|${apiUrl}`)}`;
+    return { key: `${action}[${hashPayload(params)}]@${scope}`, params };
+}
+
+function rememberEntry(entry) {
+    const previous = cache.get(entry.key);
+    if (previous) {
+        memoryBytes -= previous.size;
+        cache.delete(entry.key);
+    }
+
+    cache.set(entry.key, entry);
+    memoryBytes += entry.size;
+
+    // Map iteration order doubles as the LRU order
+    for (const [key, oldest] of cache) {
+        if (memoryBytes <= cacheSettings.maxBytes || key === entry.key) break;
+        cache.delete(key);
+        memoryBytes -= oldest.size;
+    }
+}
+
+/**
+ * Looks a response up in memory first, then on disk. Disk reads wait for
+ * pending evictions, so an invalidated response is never read back.
+ * @returns {Promise<Object|null>} { key, action, params, data, etag, timestamp, accessedAt, size }
+ */
+async function readCache(key) {
+    const memoryEntry = cache.get(key);
+    if (memoryEntry) {
+        touchCache(memoryEntry);
+        return memoryEntry;
+    }
+    if (!cacheSettings.persistent) return null;
+
+    const evictions = evictionCount;
+    let entry = null;
+    try {
+        await Promise.all(pendingEvictions);
+        entry = await storeRequest(RESPONSE_STORE, 'readonly', (store) => store.get(key)) || null;
+    } catch {
+        entry = null;
+    }
+
+    // An eviction started while reading may have matched this entry; count it as a miss
+    if (!entry || evictions !== evictionCount) return null;
+
+    touchCache(entry);
+    return entry;
+}
+
+/**
+ * Marks a cached response as recently used. The disk copy is only updated
+ * while it still exists, never written back.
+ */
+function touchCache(entry) {
+    const accessedAt = Date.now();
+    rememberEntry({ ...entry, accessedAt });
+    if (!cacheSettings.persistent) return;
+
+    updateStore(RESPONSE_STORE, entry.key, (cursor) => cursor.update({ ...cursor.value, accessedAt }))
+        .catch((error) => console.error('Unable to update cached response:', error));
+}
+
+function writeCache(entry) {
+    rememberEntry(entry);
+    if (!cacheSettings.persistent) return;
+
+    storeRequest(RESPONSE_STORE, 'readwrite', (store) => store.put(entry))
+        .then(schedulePrune)
+        .catch((error) => console.error('Unable to persist cached response:', error));
+}
+
+function schedulePrune() {
+    if (pruneTimer) return;
+    pruneTimer = setTimeout(() => {
+        pruneTimer = null;
+        pruneCache().catch((error) => console.error('Unable to prune response cache:', error));
+    }, 1000);
+}
+
+/**
+ * Evicts least recently used responses from disk until under `maxBytes`.
+ */
+async function pruneCache() {
+    const entries = await storeRequest(RESPONSE_STORE, 'readonly', (store) => store.index('accessedAt').getAll());
+    let total = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+
+    for (const entry of entries) {
+        if (total <= cacheSettings.maxBytes) break;
+        await storeRequest(RESPONSE_STORE, 'readwrite', (store) => store.delete(entry.key));
+        total -= entry.size || 0;
+    }
+}
+
+/**
+ * Cached actions whose responses go stale after a successful mutation, with
+ * the scope an entry must match: the mutated `entity`, the mutated `comment`
+ * (its id or the one replied to) or the comment `author`'s profile.
+ */
+const cacheDependencies = {
+    'createComment': { entity: ['getComments', 'getReplies', 'getNested', 'fetchStats'], author: ['getProfile'] },
+    'editComment': { entity: ['getComments', 'getReplies', 'getNested'] },
+    'delComment': { entity: ['getComments', 'getReplies', 'getNested', 'fetchStats'], comment: ['getCommentLikes', 'getLikes'], author: ['getProfile'] },
+    'setLikeComment': { entity: ['getComments', 'getReplies', 'getNested'], comment: ['getCommentLikes', 'getLikes'], author: ['getProfile'] },
+};
+
+function entryReferencesEntity(entry, entityId) {
+    const { params = {} } = entry;
+    if (params.entityId === entityId) return true;
+
+    try {
+        const entities = typeof params.entities === 'string' ? JSON.parse(params.entities) : params.entities;
+        return Array.isArray(entities) && entities.includes(entityId);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Removes every cached response matching a predicate, in memory and on disk.
+ * The disk lookup and deletes share one transaction; reads wait for it.
+ * @param {Function} predicate - Receives a cache entry
+ * @returns {Promise<void>}
+ */
+function evictCache(predicate) {
+    evictionCount++;
+    for (const [key, entry] of cache) {
+        if (!predicate(entry)) continue;
+        cache.delete(key);
+        memoryBytes -= entry.size;
+    }
+
+    if (!cacheSettings.persistent) return Promise.resolve();
+
+    const eviction = updateStore(RESPONSE_STORE, null, (cursor) => {
+        if (predicate(cursor.value)) cursor.delete();
+    })
+        .catch((error) => console.error('Unable to evict cached responses:', error))
+        .finally(() => pendingEvictions.delete(eviction));
+
+    pendingEvictions.add(eviction);
+    return eviction;
+}
+
+function entryReferencesComment(entry, entityId, commentIds) {
+    const { params = {} } = entry;
+    return params.entityId === entityId && commentIds.includes(params.commentId);
+}
+
+/**
+ * Evicts the responses a mutation made outdated.
+ * @param {string} action - Mutating action that succeeded
+ * @param {Object} payload - Its payload; `author` names the comment's author when the page knows it
+ * @param {Object} [data] - The response, used to find the author of a new comment
+ */
+function invalidateAfterMutation(action, payload, data = null) {
+    const dependents = cacheDependencies[action];
+    if (!dependents || !payload?.entityId) return Promise.resolve();
+
+    const commentIds = [payload.commentId, payload.replyId].filter(Boolean);
+    const author = payload.author || data?.comment?.author || null;
+
+    return evictCache((entry) =>
+        (dependents.entity?.includes(entry.action) && entryReferencesEntity(entry, payload.entityId)) ||
+        (dependents.comment?.includes(entry.action) && entryReferencesComment(entry, payload.entityId, commentIds)) ||
+        (Boolean(author) && dependents.author?.includes(entry.action) && entry.params?.author === author));
+}
+
+/**
+ * Evicts all cached responses for an entity, or the whole cache without one.
+ * @param {string} [entityId] - Entity to invalidate
+ */
+function invalidateEntity(entityId) {
+    return evictCache((entry) => !entityId || entryReferencesEntity(entry, entityId));
+}
+
+// ==================== OFFLINE OUTBOX ====================
+/**
+ * Mutating actions that are kept in the outbox when the network is down.
+ * Toggle actions describe how two queued items cancel each other out:
+ * items sharing a `key` with opposite `state` are a no-op pair.
+ */
+const outboxToggles = {
+    'setLike': { key: (p) => `like:${p.entityId}`, state: (p) => Boolean(p.liked) },
+    'toggleBookmark': { key: (p) => `bookmark:${p.entityId}`, state: (p) => Boolean(p.attached) },
+    'followUser': { key: (p) => `follow:${p.memberId}`, state: () => true },
+    'unfollowUser': { key: (p) => `follow:${p.memberId}`, state: () => false },
+};
+const OUTBOX_ACTIONS = ['createComment', ...Object.keys(outboxToggles)];
+
+const enqueueOutbox = (action, payload) =>
+    storeRequest(OUTBOX_STORE, 'readwrite', (store) => store.add({ action, payload, owner: sessionOwner, timestamp: Date.now() }));
+
+const removeFromOutbox = (id) =>
+    storeRequest(OUTBOX_STORE, 'readwrite', (store) => store.delete(id));
+
+/**
+ * Splits queued items into the ones that still have to be sent and the
+ * toggle pairs that cancel out (e.g. a like followed by an unlike).
+ * @param {Array<Object>} items - Outbox items ordered by id
+ * @returns {{pending: Array<Object>, cancelled: Array<Object>}}
+ */
+function mergeOutbox(items) {
+    const lastToggle = new Map();
+    const cancelled = new Set();
+
+    items.forEach((item) => {
+        const toggle = outboxToggles[item.action];
+        if (!toggle) return;
+
+        const key = toggle.key(item.payload);
+        const previous = lastToggle.get(key);
+
+        if (previous && toggle.state(item.payload) !== outboxToggles[previous.action].state(previous.payload)) {
+            cancelled.add(previous);
+            cancelled.add(item);
+            lastToggle.delete(key);
+        } else {
+            lastToggle.set(key, item);
+        }
+    });
+
+    return {
+        pending: items.filter((item) => !cancelled.has(item)),
+        cancelled: items.filter((item) => cancelled.has(item))
+    };
+}
+
+const postOutboxResult = (item, result) => {
+    emit({
+        action: 'outboxResult',
+        payload: {
+            id: item.id,
+            action: item.action,
+            ok: Boolean(result?.ok),
+            merged: Boolean(result?.merged),
+            dropped: Boolean(result?.dropped),
+            message: result?.error?.message || null,
+            status: result?.error?.status || null
+        },
+        originalPayload: item.payload
+    });
+};
+
+/**
+ * Sends queued actions in order. Stops at the first item that fails for lack of
+ * network so the remaining ones keep their order for the next attempt.
+ * Items queued under another sign-in are dropped unsent: the fresh token only
+ * ever replaces the one of the session that queued the item.
+ * @param {Object} [overrides] - Values replacing the stored payload ones (e.g. a fresh token)
+ */
+async function replayOutbox(overrides = {}) {
+    if (isReplayingOutbox) return;
+    isReplayingOutbox = true;
+
+    try {
+        const items = await storeRequest(OUTBOX_STORE, 'readonly', (store) => store.getAll());
+        if (!items.length) return;
+
+        const owned = [];
+        for (const item of items) {
+            if (sessionOwner && item.owner === sessionOwner) {
+                owned.push(item);
+                continue;
             }
+            await removeFromOutbox(item.id);
+            postOutboxResult(item, { ok: false, dropped: true, error: new Error('Queued under another session.') });
+        }
+
+        const { pending, cancelled } = mergeOutbox(owned);
+
+        for (const item of cancelled) {
+            await removeFromOutbox(item.id);
+            postOutboxResult(item, { ok: true, merged: true });
+        }
+
+        for (const item of pending) {
+            const payload = { ...item.payload, ...(overrides.token && { token: overrides.token }) };
+            const result = await routeAction(item.action, payload, { replay: true });
+            if (result?.offline) break;
+
+            await removeFromOutbox(item.id);
+            postOutboxResult(item, result);
         }
+    } catch (error) {
+        emit({ action: 'error', ok: false, error: toErrorInfo('REQUEST_FAILED', error), payload: { action: 'replayOutbox' } });
+    } finally {
+        isReplayingOutbox = false;
+    }
+}
+
+// ==================== FETCH HELPERS ====================
+function hashPayload(payload) {
+    const jsonString = JSON.stringify(payload);
+    return btoa(unescape(encodeURIComponent(jsonString)));
+}
+
+/**
+ * Función de utilidad para construir headers comunes con auth
+ */
+function authHeaders(token) {
+    return {
+        "Authorization": `Bearer ${token}`,
+        "Content-Type": "application/json"
     };
+}
+
+const parseFetchError = async (response) => {
+    const text = await response.text();
+    const error = new Error(`${response.status} ${response.statusText}`);
+    error.status = response.status;
+
+    try {
+        error.details = JSON.parse(text);
+    } catch {
+        error.details = text;
+    }
+
+    if (response.status === 401 && text.includes('Invalid token')) {
+        error.message = 'Invalid token';
+    }
+
+    if (response.status === 401 && text.includes('You have already reported this comment')) {
+        error.message = 'You have already reported this comment.';
+    }
+
+    if (response.status === 499 && text.includes('Invalid captcha')) {
+        error.message = 'Invalid captcha';
+    }
+    
+    return error;
+};
+
+/**
+ * Worker-side consumers of successful responses, keyed by page action.
+ */
+const resultObservers = {
+    'statsFetched': (data) => seedCounters(data?.posts),
+};
+
+function postResult(request, message) {
+    resultObservers[message.action]?.(message.payload);
+    respond(request, message);
+}
+
+/**
+ * Performs the request for an action and posts the result to the page.
+ * Serves fresh cached responses, answers with stale ones while revalidating,
+ * and joins identical reads already in flight.
+ * @param {Object} request - { action, payload, id, replay }
+ * @returns {Promise<{ok: boolean, data?: *, offline?: boolean, aborted?: boolean, error?: Error}>}
+ */
+const handleFetch = async (request, url, options, successAction, responseHandler = null) => {
+    const { action, payload, id } = request;
+    const cacheDuration = cacheConfig[action];
+    const { key: cacheKey, params } = getCacheKey(action, payload);
+    const forceRefresh = payload.forceRefresh === true;
+    const cached = cacheDuration ? await readCache(cacheKey) : null;
+    let served = false;
+
+    if (cached && !forceRefresh) {
+        const age = Date.now() - cached.timestamp;
+
+        if (age < cacheDuration) {
+            postResult(request, { action: successAction, payload: cached.data, originalPayload: payload });
+            return { ok: true, data: cached.data };
+        }
+
+        if (cacheSettings.staleWhileRevalidate && age < cacheDuration + cacheSettings.maxStale) {
+            postResult(request, { action: successAction, payload: cached.data, originalPayload: payload, stale: true });
+            served = true;
+        }
+    }
+
+    const cacheContext = { key: cacheKey, params, cached, served };
+    const coalesce = (options.method || 'GET') === 'GET';
+    const flightKey = coalesce ? cacheKey : `${cacheKey}#${++flightCounter}`;
+    const pending = coalesce && inFlight.get(flightKey);
+
+    if (pending) {
+        pending.waiters++;
+        trackRequestId(flightKey, pending, id);
+        return pending.promise.then((result) => {
+            // The shared fetch already notified the handlers; only settle this caller's promise
+            respond(request, {
+                action: successAction,
+                silent: true,
+                ok: result.ok,
+                payload: result.data ?? null,
+                error: result.ok ? null : toErrorInfo(result.aborted ? 'ABORTED' : 'REQUEST_FAILED', result.error)
+            });
+            return result;
+        });
+    }
+
+    const entry = { controller: new AbortController(), waiters: 1, requestIds: new Set(), promise: null };
+    trackRequestId(flightKey, entry, id);
+    inFlight.set(flightKey, entry);
+
+    entry.promise = executeFetch(request, url, { ...options, signal: entry.controller.signal }, successAction, responseHandler, cacheContext)
+        .finally(() => {
+            inFlight.delete(flightKey);
+            entry.requestIds.forEach((id) => inFlightByRequestId.delete(id));
+        });
+
+    return entry.promise;
+};
+
+const executeFetch = async (request, url, options, successAction, responseHandler, cacheContext) => {
+    const { action, payload } = request;
+    const { cached, served } = cacheContext;
+    const cacheDuration = cacheConfig[action];
+
+    try {
+        const headersWithData = {
+            ...options.headers,
+            ...(cached?.etag && { 'If-None-Match': cached.etag }),
+            ...(payload.cid && { 'X-Client-ID': payload.cid }),
+            ...(sharedIp && { 'X-IP': sharedIp }),
+            ...(payload.captchaToken && { 'X-Captcha-Token': payload.captchaToken }),
+            ...(sharedLocation && {
+                'X-Country': sharedLocation.country || '',
+                'X-Country-Code': sharedLocation.countryCode || '',
+                'X-Region': sharedLocation.region || '',
+                'X-Region-Code': sharedLocation.regionCode || '',
+                'X-City': sharedLocation.city || '',
+                'X-Lat': sharedLocation.lat || '',
+                'X-Lon': sharedLocation.lon || '',
+            })
+        };
+
+        const response = await fetchWithRetry(request, url, { ...options, headers: headersWithData });
+
+        if (response.status === 304 && cached) {
+            writeCache({ ...cached, timestamp: Date.now(), accessedAt: Date.now() });
+            if (!served) postResult(request, { action: successAction, payload: cached.data, originalPayload: payload });
+            return { ok: true, data: cached.data };
+        }
+
+        if (!response.ok && !responseHandler) throw await parseFetchError(response);
+        if (responseHandler) return await responseHandler(response, successAction, request);
 
-    const parseFetchError = async (response) => {
         const text = await response.text();
-        const error = new Error(`${response.status} ${response.statusText}`);
-        error.status = response.status;
+        const data = JSON.parse(text);
 
-        try {
-            error.details = JSON.parse(text);
-        } catch {
-            error.details = text;
+        if (cacheDuration) {
+            writeCache({
+                key: cacheContext.key,
+                action,
+                params: cacheContext.params,
+                data,
+                etag: response.headers.get('ETag'),
+                timestamp: Date.now(),
+                accessedAt: Date.now(),
+                size: text.length
+            });
         }
 
-        if (response.status === 401 && text.includes('Invalid token')) {
-            error.message = 'Invalid token';
+        // Evicted before answering, so a refetch triggered by the answer misses the stale entries
+        await invalidateAfterMutation(action, payload, data);
+
+        if (!served) {
+            postResult(request, { action: successAction, payload: data, originalPayload: payload });
+        } else if (JSON.stringify(data) !== JSON.stringify(cached.data)) {
+            postResult(request, { action: successAction, payload: data, originalPayload: payload, revalidated: true });
         }
+        return { ok: true, data };
 
-        if (response.status === 401 && text.includes('You have already reported this comment')) {
-            error.message = 'You have already reported this comment.';
+    } catch (error) {
+
+        if (error.name === 'AbortError') {
+            respond(request, { action: successAction, silent: true, ok: false, error: toErrorInfo('ABORTED', error) });
+            return { ok: false, aborted: true, error };
+        }
+
+        // The page already has a stale copy; a failed background refresh is not worth reporting
+        if (served && error.message !== 'Invalid token') {
+            return { ok: true, stale: true, data: cached.data, error };
         }
 
-        if (response.status === 499 && text.includes('Invalid captcha')) {
-            error.message = 'Invalid captcha';
+        if (error.message === OFFLINE_MESSAGE) {
+            if (request.replay) return { ok: false, offline: true, error };
+
+            if (OUTBOX_ACTIONS.includes(action)) {
+                try {
+                    const id = await enqueueOutbox(action, payload);
+                    fail(request, 'outboxQueued', 'QUEUED', error, { payload: { id, action }, originalPayload: payload });
+                    return { ok: false, offline: true, queued: true, error };
+                } catch (storageError) {
+                    console.error('Unable to queue offline action:', storageError);
+                }
+            }
+            fail(request, 'offline', 'OFFLINE', error, { payload: { message: error.message }, originalPayload: payload });
+            return { ok: false, offline: true, error };
+        } else if (error.message === 'Invalid token') {
+            fail(request, 'invalidToken', 'INVALID_TOKEN', error, { payload: { message: error.message }, originalPayload: payload });
+        } else if (error.message === 'You have already reported this comment.') {
+            fail(request, 'reportedComment', 'ALREADY_REPORTED', error, { payload: { message: error.message }, originalPayload: payload });
+        } else {
+            fail(request, 'error', 'REQUEST_FAILED', error, { payload: { action, payload }, originalPayload: payload });
         }
-        
-        return error;
+        return { ok: false, error };
+    }
+};
+
+const handleCommentResponse = async (response, successAction, request) => {
+    const { action, payload: originalPayload } = request;
+    const status = response.status;
+
+    if (status === 401) {
+        const error = Object.assign(new Error('Invalid token'), { status });
+        fail(request, 'invalidToken', 'INVALID_TOKEN', error, { payload: { message: error.message }, originalPayload });
+        return { ok: false, error };
+    }
+
+    if (status === 403) {
+        const data = await response.json();
+        const error = Object.assign(new Error(data?.message || 'Comment blocked'), { status, details: data });
+        fail(request, 'commentBlocked', 'COMMENT_BLOCKED', error, {
+            payload: { ...data, entityId: originalPayload.entityId, isEdit: originalPayload.isEdit || false },
+            originalPayload
+        });
+        return { ok: false, error };
+    }
+
+    if (status === 500) {
+        const data = await response.json();
+        const error = Object.assign(new Error(data?.message || 'Internal error'), { status, details: data });
+        fail(request, 'internalError', 'INTERNAL', error, { payload: data, originalPayload });
+        return { ok: false, error };
+    }
+
+    if (!response.ok) {
+        const error = await parseFetchError(response);
+        fail(request, 'error', 'REQUEST_FAILED', error, { payload: { action, payload: originalPayload }, originalPayload });
+        return { ok: false, error };
+    }
+
+    const data = await response.json();
+    const result = {
+        ...data,
+        entityId: originalPayload.entityId,
+        replyId: originalPayload.replyId,
+        isEdit: originalPayload.isEdit || false
     };
+    await invalidateAfterMutation(action, originalPayload, data);
+    // Responses without a message carry nothing to render; they only settle the request
+    respond(request, { action: successAction, payload: result, originalPayload, silent: !data?.message });
+    return { ok: true, data: result };
+};
+
+// ==================== REALTIME ====================
+/**
+ * Live subscription settings, overridable from the page through `network.realtime`.
+ * `transport` is 'sse' (streamed over fetch so the auth header can be sent)
+ * or 'websocket' (credentials go in the subscribe frame).
+ */
+let realtimeConfig = {
+    enabled: false,
+    transport: 'sse',
+    url: null,
+    reconnectDelay: 3000,
+    maxReconnectDelay: 30000,
+    counters: true,
+    counterFlushInterval: 1000,
+    counterResubscribeDelay: 10000
+};
+
+let liveThread = null;
+let counterChannel = null;
+
+/**
+ * Server events for the open thread, translated into the messages the page
+ * already handles for the same changes. `mutation` names the action whose
+ * cache dependencies the event makes stale.
+ */
+const liveEvents = {
+    'commentCreated': {
+        mutation: 'createComment',
+        toMessage: (entityId, event) => ({ action: 'commentCreated', payload: { entityId, replyId: event.replyId, comment: event.comment } })
+    },
+    'commentEdited': {
+        mutation: 'editComment',
+        toMessage: (entityId, event) => ({ action: 'commentEdited', payload: { entityId, replyId: event.replyId, comment: event.comment, isEdit: true } })
+    },
+    'commentDeleted': {
+        mutation: 'delComment',
+        toMessage: (entityId, event) => ({ action: 'delComment', payload: { entityId, commentId: event.commentId } })
+    },
+    'commentLiked': {
+        mutation: 'setLikeComment',
+        toMessage: (entityId, event) => ({ action: 'commentLikesFetched', payload: [{ commentId: event.commentId, likesCount: event.likesCount }] })
+    },
+};
+
+function parseEventBlock(block) {
+    let type = null;
+    const data = [];
+
+    block.split(/\r?\n/).forEach((line) => {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    });
+
+    if (!data.length) return null;
+
+    try {
+        const event = JSON.parse(data.join('\n'));
+        return { ...event, type: event.type || type };
+    } catch {
+        return null;
+    }
+}
+
+async function openEventStream(channel) {
+    const baseUrl = realtimeConfig.url || apiUrl;
+    const response = await fetch(`${baseUrl}${channel.path(channel)}`, {
+        headers: {
+            ...authHeaders(channel.token),
+            'Accept': 'text/event-stream',
+            ...(channel.cid && { 'X-Client-ID': channel.cid })
+        },
+        signal: channel.controller.signal
+    });
+
+    if (!response.ok || !response.body) throw new Error(`${response.status} ${response.statusText}`);
+    channel.attempts = 0;
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) return;
+
+        buffer += value;
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = blocks.pop();
+        blocks.forEach((block) => channel.active && channel.onEvent(parseEventBlock(block)));
+    }
+}
+
+function openSocket(channel) {
+    return new Promise((resolve, reject) => {
+        const baseUrl = (realtimeConfig.url || apiUrl).replace(/^http/, 'ws');
+        const socket = new WebSocket(`${baseUrl}/stream`);
+        channel.socket = socket;
+
+        socket.onopen = () => {
+            channel.attempts = 0;
+            socket.send(JSON.stringify(channel.subscribeFrame(channel)));
+        };
+        socket.onmessage = (message) => {
+            try {
+                if (channel.active) channel.onEvent(JSON.parse(message.data));
+            } catch {
+                // Ignore frames that are not JSON events
+            }
+        };
+        socket.onerror = () => reject(new Error('WebSocket connection failed'));
+        socket.onclose = () => resolve();
+    });
+}
+
+/**
+ * Opens a live channel and keeps it open, reconnecting with backoff, until it is closed.
+ * @param {Object} options - { token, cid, path, subscribeFrame, onEvent }
+ * @returns {Object} The channel, to pass to closeChannel
+ */
+function openChannel(options) {
+    const channel = {
+        ...options,
+        controller: new AbortController(),
+        socket: null,
+        attempts: 0,
+        active: true
+    };
+
+    (async () => {
+        while (channel.active) {
+            try {
+                await (realtimeConfig.transport === 'websocket' ? openSocket(channel) : openEventStream(channel));
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+            }
+
+            if (!channel.active) return;
+
+            channel.attempts++;
+            await wait(Math.min(realtimeConfig.maxReconnectDelay, realtimeConfig.reconnectDelay * 2 ** (channel.attempts - 1)));
+        }
+    })();
+
+    return channel;
+}
+
+function closeChannel(channel) {
+    if (!channel) return;
+
+    channel.active = false;
+    channel.controller.abort();
+    channel.socket?.close();
+}
+
+/**
+ * Starts the live subscription for the thread the page just opened.
+ * @param {Object} payload - { entityId, token, cid }
+ */
+function subscribeThread(payload) {
+    if (!realtimeConfig.enabled || transport.local || !payload?.entityId) return;
+    if (liveThread?.entityId === payload.entityId && liveThread.token === payload.token) return;
+
+    const { entityId, token, cid } = payload;
+    closeChannel(liveThread);
 
-    const handleCommentResponse = async (response, successAction, originalPayload) => {
-        const status = response.status;
+    let delivered = Promise.resolve();
+    liveThread = openChannel({
+        entityId,
+        token,
+        cid,
+        path: () => `/posts/${entityId}/stream`,
+        subscribeFrame: () => ({ type: 'subscribe', entityId, token, cid }),
+        onEvent: (event) => {
+            const definition = event && liveEvents[event.type];
+            if (!definition) return;
 
-        if (status === 401) {
-            self.postMessage({ action: 'invalidToken', payload: { message: 'Invalid token' }, originalPayload, originalAction: action });
-            return;
+            const eventEntityId = event.entityId || entityId;
+            const scope = { entityId: eventEntityId, commentId: event.commentId, replyId: event.replyId, author: event.comment?.author };
+            // Chained so events still reach the page in arrival order
+            delivered = delivered
+                .then(() => invalidateAfterMutation(definition.mutation, scope))
+                .then(() => emit({ ...definition.toMessage(eventEntityId, event), live: true }));
         }
+    });
+}
+
+function unsubscribeThread() {
+    closeChannel(liveThread);
+    liveThread = null;
+}
+
+// ==================== LIVE COUNTERS ====================
+/**
+ * Interaction counts for entities the page has rendered, seeded from
+ * fetchStats responses and moved by server deltas. The counter channel
+ * covers the entities in the viewport, plus those that left it since the
+ * channel was opened; updates are flushed to the page in batches.
+ */
+const liveCounters = new Map();
+let visibleEntities = new Set();
+const pendingCounterUpdates = new Set();
+let counterFlushTimer = null;
+let counterResubscribeTimer = null;
+let counterCredentials = { token: null, cid: null };
+
+function seedCounters(stats) {
+    if (!Array.isArray(stats)) return;
+
+    stats.forEach((stat) => {
+        if (!stat?.entity) return;
+        liveCounters.set(stat.entity, {
+            likesCount: stat.likesCount || 0,
+            commentsCount: stat.commentsCount || 0,
+            sharesCount: stat.sharesCount || 0,
+            seededAt: Date.now()
+        });
+    });
+}
+
+function flushCounterUpdates() {
+    counterFlushTimer = null;
+    if (!pendingCounterUpdates.size) return;
+
+    // Entities being refetched meanwhile get their counts from the fetch instead
+    const payload = Array.from(pendingCounterUpdates)
+        .filter((entity) => liveCounters.has(entity))
+        .map((entity) => {
+            const { seededAt, ...counts } = liveCounters.get(entity);
+            return { entity, ...counts };
+        });
+    pendingCounterUpdates.clear();
+    if (payload.length) emit({ action: 'statsUpdated', payload });
+}
+
+/**
+ * Applies a batch of server deltas, e.g. [{ entity, likes: 1, comments: 0, shares: 2 }].
+ */
+function applyCounterDeltas(deltas) {
+    if (!Array.isArray(deltas)) return;
+
+    deltas.forEach(({ entity, likes = 0, comments = 0, shares = 0 }) => {
+        const counts = liveCounters.get(entity);
+        if (!counts) return;
+
+        counts.likesCount = Math.max(0, counts.likesCount + likes);
+        counts.commentsCount = Math.max(0, counts.commentsCount + comments);
+        counts.sharesCount = Math.max(0, counts.sharesCount + shares);
+        pendingCounterUpdates.add(entity);
+    });
+
+    if (pendingCounterUpdates.size && !counterFlushTimer) {
+        counterFlushTimer = setTimeout(flushCounterUpdates, realtimeConfig.counterFlushInterval);
+    }
+}
+
+const isCounterStreamed = (entity) => Boolean(counterChannel?.entities.includes(entity));
+
+/**
+ * Refetches the counts of entities coming back into view that the counter
+ * channel did not cover since they were last fetched. Their deltas are
+ * ignored until the fresh counts seed them again.
+ * @param {Array<string>} entities - Entities that just entered the viewport
+ */
+function refreshStaleCounters(entities) {
+    const stale = entities.filter((entity) => {
+        const counts = liveCounters.get(entity);
+        return counts && !isCounterStreamed(entity) && Date.now() - counts.seededAt > cacheConfig.fetchStats;
+    });
+    if (!stale.length) return;
+
+    stale.forEach((entity) => liveCounters.delete(entity));
+    routeAction('fetchStats', { entities: stale, ...counterCredentials, forceRefresh: true });
+}
 
-        if (status === 403) {
-            const data = await response.json();
-            self.postMessage({ action: 'commentBlocked', payload: { ...data, entityId: originalPayload.entityId, isEdit: originalPayload.isEdit || false } });
-            return;
+/**
+ * Reopens the counter channel for the entities in the viewport, or closes it
+ * when none are left.
+ */
+function resubscribeCounters() {
+    clearTimeout(counterResubscribeTimer);
+    counterResubscribeTimer = null;
+
+    const entities = Array.from(visibleEntities);
+    const { token, cid } = counterCredentials;
+    if (entities.length && counterChannel?.token === token && entities.every(isCounterStreamed)) return;
+
+    closeChannel(counterChannel);
+    counterChannel = null;
+    if (!entities.length) return;
+
+    counterChannel = openChannel({
+        entities,
+        token,
+        cid,
+        path: (channel) => `/posts/stats/stream?` + new URLSearchParams({ entities: JSON.stringify(channel.entities) }).toString(),
+        subscribeFrame: (channel) => ({ type: 'watchStats', entities: channel.entities, token, cid }),
+        onEvent: (event) => {
+            if (event?.type === 'statsDelta') applyCounterDeltas(event.deltas);
         }
+    });
+}
+
+/**
+ * Replaces the set of entities in the viewport. A socket switches entities in
+ * place; a stream has to be reopened, so it keeps covering the entities that
+ * left the viewport and only reopens, after `counterResubscribeDelay`, once
+ * entities it does not cover come into view.
+ * @param {Object} payload - { entities, token, cid }
+ */
+function watchEntities(payload) {
+    if (!realtimeConfig.enabled || !realtimeConfig.counters || transport.local) return;
 
-        if (status === 500) {
-            const data = await response.json();
-            self.postMessage({ action: 'internalError', payload: data });
-            return;
+    const previous = visibleEntities;
+    visibleEntities = new Set(payload?.entities || []);
+    counterCredentials = { token: payload?.token, cid: payload?.cid };
+    const entities = Array.from(visibleEntities);
+    refreshStaleCounters(entities.filter((entity) => !previous.has(entity)));
+
+    if (!counterChannel || counterChannel.token !== payload.token) {
+        resubscribeCounters();
+        return;
+    }
+
+    if (realtimeConfig.transport === 'websocket' && entities.length) {
+        counterChannel.entities = entities;
+        if (counterChannel.socket?.readyState === WebSocket.OPEN) {
+            counterChannel.socket.send(JSON.stringify(counterChannel.subscribeFrame(counterChannel)));
         }
+        return;
+    }
 
-        const data = await response.json();
-        if (data?.message) {
-            self.postMessage({
-                action: successAction,
-                payload: {
-                    ...data,
-                    entityId: originalPayload.entityId,
-                    replyId: originalPayload.replyId,
-                    isEdit: originalPayload.isEdit || false
-                }
-            });
+    if (entities.length && entities.every(isCounterStreamed)) return;
+    if (!counterResubscribeTimer) {
+        counterResubscribeTimer = setTimeout(resubscribeCounters, realtimeConfig.counterResubscribeDelay);
+    }
+}
+
+/**
+ * Closes the live channels that the current settings no longer allow, e.g.
+ * after the page turned realtime off through a config change.
+ */
+function closeDisabledChannels() {
+    const live = realtimeConfig.enabled && !transport.local;
+    if (!live) unsubscribeThread();
+
+    if (!live || !realtimeConfig.counters) {
+        clearTimeout(counterResubscribeTimer);
+        counterResubscribeTimer = null;
+        closeChannel(counterChannel);
+        counterChannel = null;
+        visibleEntities = new Set();
+    }
+}
+
+// ==================== TRANSPORT ====================
+/**
+ * A transport turns a prepared request into a Response. `http` sends it to
+ * the API; `mock` answers every route from in-memory fixtures so the widget
+ * can run in tests and demos without a server. Local transports ignore the
+ * browser's online state and have no live streams.
+ */
+const transports = {
+    'http': {
+        local: false,
+        send: ({ url, init }) => fetch(url, init)
+    },
+    'mock': {
+        local: true,
+        send: (request) => handleMockRequest(request)
+    }
+};
+
+let transportName = 'http';
+let transport = transports.http;
+
+// ==================== MOCK BACKEND ====================
+const MOCK_PAGE_SIZE = 15;
+
+const MOCK_DEFAULT_PROFILES = [
+    { author: 'demo-user', name: 'Demo User' },
+    { author: 'ana-garcia', name: 'Ana García' },
+    { author: 'liam-chen', name: 'Liam Chen' },
+    { author: 'sofia-rossi', name: 'Sofia Rossi' }
+];
+
+const MOCK_SAMPLE_COMMENTS = [
+    { author: 'ana-garcia', text: 'Great read, thanks for sharing!' },
+    { author: 'liam-chen', text: 'I see it differently, but this is a fair take.' },
+    { author: 'sofia-rossi', text: 'Does anyone have a source for the numbers in the second paragraph?' }
+];
+
+const MOCK_POST_CONFIG = {
+    visibility: 'public',
+    comment_status: 'open',
+    interaction: {
+        allow_comments: true,
+        allow_likes: true,
+        allow_shares: true,
+        allow_bookmarks: true,
+        allow_replies: true,
+        allow_quotes: true
+    },
+    language: { auto_translate: false },
+    editing: { edit_time_limit: 5 },
+    limits: { comment_text: 200, reply_text: 200 }
+};
+
+let mockSettings = { latency: 150, user: 'demo-user', generate: true };
+let mockDb = null;
+
+/**
+ * Loads fixtures into the mock backend, replacing previous data. All keys are optional:
+ * { user, latency, generate, profiles: [], posts: [], comments: [], follows: [[from, to]], blocks: [[from, to]] }
+ * With `generate` (default), entities without fixtures get sample comments on first access.
+ * @param {Object} fixtures - Seed data
+ */
+function seedMockBackend(fixtures = {}) {
+    mockSettings = {
+        latency: fixtures.latency ?? 150,
+        user: fixtures.user || 'demo-user',
+        generate: fixtures.generate !== false
+    };
+    mockDb = {
+        profiles: new Map(),
+        posts: new Map(),
+        comments: new Map(),
+        bookmarks: new Set(),
+        follows: new Set(),
+        blocks: new Set(),
+        sequence: 0
+    };
+
+    [...MOCK_DEFAULT_PROFILES, ...(fixtures.profiles || [])].forEach((profile) => {
+        mockDb.profiles.set(profile.author, { visibility: 'public', picture: null, settings: {}, ...profile });
+    });
+    (fixtures.posts || []).forEach((post) => mockPost(post.entity, post));
+    (fixtures.comments || []).forEach((comment) => mockInsertComment(comment));
+    (fixtures.follows || []).forEach(([from, to]) => mockDb.follows.add(`${from}>${to}`));
+    (fixtures.blocks || []).forEach(([from, to]) => mockDb.blocks.add(`${from}>${to}`));
+}
+
+const mockId = () => `mock-${Date.now().toString(36)}-${(++mockDb.sequence).toString(36)}`;
+
+function mockPost(entity, fixture = null) {
+    if (mockDb.posts.has(entity)) return mockDb.posts.get(entity);
+
+    const post = {
+        entity,
+        title: fixture?.title || entity,
+        link: fixture?.link || '',
+        likes: fixture?.likesCount || 0,
+        shares: fixture?.sharesCount || 0,
+        likedBy: new Set(),
+        created_at: fixture?.created_at || new Date().toISOString(),
+        config: {
+            ...MOCK_POST_CONFIG,
+            ...(fixture?.config || {}),
+            interaction: { ...MOCK_POST_CONFIG.interaction, ...(fixture?.config?.interaction || {}) }
         }
     };
+    mockDb.posts.set(entity, post);
+
+    if (!fixture && mockSettings.generate) {
+        MOCK_SAMPLE_COMMENTS.forEach((sample, index) => mockInsertComment({
+            ...sample,
+            entity,
+            created_at: new Date(Date.now() - (index + 1) * 3600000).toISOString()
+        }));
+    }
+
+    return post;
+}
+
+function mockInsertComment({ _id, entity, author, text, replyId = null, created_at, likesCount = 0 }) {
+    mockPost(entity, {});
+    const comment = {
+        _id: _id || mockId(),
+        entity,
+        author,
+        text,
+        parent: replyId,
+        created_at: created_at || new Date().toISOString(),
+        isEdited: false,
+        likes: likesCount,
+        likedBy: new Set()
+    };
+    mockDb.comments.set(comment._id, comment);
+    return comment;
+}
+
+function mockProfile(author) {
+    return mockDb.profiles.get(author) || { author, name: author, visibility: 'public', picture: null, settings: {} };
+}
+
+function mockPublicProfile(author, viewer) {
+    const profile = mockProfile(author);
+    return {
+        author: profile.author,
+        name: profile.name,
+        picture: profile.picture,
+        visibility: profile.visibility,
+        isFollowing: Boolean(viewer) && mockDb.follows.has(`${viewer}>${author}`)
+    };
+}
+
+const mockCommentsWhere = (predicate) => Array.from(mockDb.comments.values()).filter(predicate);
+const mockLikes = (comment) => comment.likes + comment.likedBy.size;
+const mockRepliesCount = (comment) => mockCommentsWhere((reply) => reply.parent === comment._id).length;
+
+function mockSerializeComment(comment, viewer) {
+    return {
+        _id: comment._id,
+        entity: comment.entity,
+        author: comment.author,
+        text: comment.text,
+        created_at: comment.created_at,
+        isEdited: comment.isEdited,
+        language: 'en',
+        hasAudio: false,
+        likes: mockLikes(comment),
+        authorLiked: Boolean(viewer) && comment.likedBy.has(viewer),
+        authorOwner: Boolean(viewer) && viewer === comment.author,
+        repliesCount: mockRepliesCount(comment),
+        profile: mockPublicProfile(comment.author, viewer)
+    };
+}
+
+function mockPage(list, lastCommentId, includeLast, viewer) {
+    let start = 0;
+    if (lastCommentId) {
+        const index = list.findIndex((comment) => comment._id === lastCommentId);
+        start = index < 0 ? list.length : index + (includeLast ? 0 : 1);
+    }
+
+    return {
+        list: list.slice(start, start + MOCK_PAGE_SIZE).map((comment) => mockSerializeComment(comment, viewer)),
+        hasMore: start + MOCK_PAGE_SIZE < list.length
+    };
+}
+
+const byNewest = (a, b) => b.created_at.localeCompare(a.created_at);
+const byOldest = (a, b) => a.created_at.localeCompare(b.created_at);
+
+// Thread sort modes; ties fall back to newest first so pages stay stable
+const MOCK_THREAD_SORTS = {
+    top: (a, b) => mockLikes(b) - mockLikes(a) || byNewest(a, b),
+    newest: byNewest,
+    oldest: byOldest,
+    replies: (a, b) => mockRepliesCount(b) - mockRepliesCount(a) || byNewest(a, b)
+};
+
+function mockStat(entity, viewer) {
+    const post = mockPost(entity);
+    return {
+        entity,
+        likesCount: post.likes + post.likedBy.size,
+        sharesCount: post.shares,
+        commentsCount: mockCommentsWhere((comment) => comment.entity === entity).length,
+        authorLiked: Boolean(viewer) && post.likedBy.has(viewer),
+        authorBookmarked: Boolean(viewer) && mockDb.bookmarks.has(`${viewer}:${entity}`),
+        config: post.config
+    };
+}
+
+function mockFullProfile(author, viewer) {
+    const profile = mockProfile(author);
+    const referer = (entity) => ({ link: mockPost(entity).link, title: mockPost(entity).title });
+    const followers = Array.from(mockDb.follows).filter((key) => key.endsWith(`>${author}`)).map((key) => mockPublicProfile(key.split('>')[0], viewer));
+    const following = Array.from(mockDb.follows).filter((key) => key.startsWith(`${author}>`)).map((key) => mockPublicProfile(key.split('>')[1], viewer));
+    const comments = mockCommentsWhere((comment) => comment.author === author).map((comment) => ({
+        _id: comment._id,
+        text: comment.text,
+        created_at: comment.created_at,
+        author: mockPublicProfile(author, viewer),
+        referer: referer(comment.entity)
+    }));
+    const likes = Array.from(mockDb.posts.values()).filter((post) => post.likedBy.has(author)).map((post) => ({
+        fk_type: 'post',
+        created_at: post.created_at,
+        title: post.title,
+        link: post.link,
+        author: mockPublicProfile(author, viewer),
+        referer: referer(post.entity)
+    }));
+    const bookmarks = Array.from(mockDb.bookmarks).filter((key) => key.startsWith(`${author}:`)).map((key) => {
+        const post = mockPost(key.slice(author.length + 1));
+        return { created_at: post.created_at, post: { title: post.title, link: post.link, created_at: post.created_at } };
+    });
+    const blocked = Array.from(mockDb.blocks).filter((key) => key.startsWith(`${author}>`)).map((key) => mockPublicProfile(key.split('>')[1], viewer));
+
+    return {
+        ...profile,
+        isFollowing: Boolean(viewer) && mockDb.follows.has(`${viewer}>${author}`),
+        activity: { comments, likes, shares: [] },
+        followers,
+        following,
+        bookmarks,
+        blocked: viewer === author ? blocked : [],
+        commentsCount: comments.length,
+        followersCount: followers.length,
+        followingCount: following.length,
+        counts: {
+            comments: comments.length,
+            likes: likes.length,
+            shares: 0,
+            followers: followers.length,
+            following: following.length
+        }
+    };
+}
+
+function mockSearchProfiles(query, viewer) {
+    const term = String(query || '').toLowerCase();
+    return Array.from(mockDb.profiles.values())
+        .filter((profile) => profile.author !== viewer)
+        .filter((profile) => `${profile.author} ${profile.name}`.toLowerCase().includes(term))
+        .map((profile) => mockPublicProfile(profile.author, viewer));
+}
+
+function mockToggleLike(target, viewer, liked) {
+    liked ? target.likedBy.add(viewer) : target.likedBy.delete(viewer);
+    return { likesCount: target.likes + target.likedBy.size, liked };
+}
+
+/**
+ * Mock implementation of each action. Handlers return a response body, or
+ * `[status, body]`. Actions listed in MOCK_PUBLIC_ACTIONS work without a token.
+ */
+const MOCK_PUBLIC_ACTIONS = ['fetchStats', 'fetchCommentLikes', 'getCommentLikes', 'getComments', 'getReplies', 'getNested', 'getProfile', 'getMention', 'getLikes', 'getAnalysis', 'translateComment', 'getCommentAudio', 'unfurlLink'];
+
+const mockRoutes = {
+    fetchStats: (p, viewer) => ({ posts: (p.entities || []).map((entity) => mockStat(entity, viewer)) }),
+    fetchCommentLikes: (p, viewer) => (p.commentIds || [])
+        .map((id) => mockDb.comments.get(id))
+        .filter(Boolean)
+        .map((comment) => ({ commentId: comment._id, likesCount: comment.likes + comment.likedBy.size, authorLiked: Boolean(viewer) && comment.likedBy.has(viewer) })),
+    getCommentLikes: (p, viewer) => {
+        const comment = mockDb.comments.get(p.commentId);
+        if (!comment) return [404, { message: 'Comment not found' }];
+        const likes = Array.from(comment.likedBy).map((author) => mockPublicProfile(author, viewer));
+        return { likes, totalLikes: comment.likes + likes.length };
+    },
+    getLikes: (p, viewer) => {
+        const target = p.commentId ? mockDb.comments.get(p.commentId) : mockPost(p.entityId);
+        if (!target) return [404, { message: 'Not found' }];
+        const likes = Array.from(target.likedBy).map((author) => mockPublicProfile(author, viewer));
+        return { likes, totalLikes: target.likes + likes.length };
+    },
+    setLike: (p, viewer) => mockToggleLike(mockPost(p.entityId), viewer, Boolean(p.liked)),
+    setLikeComment: (p, viewer) => {
+        const comment = mockDb.comments.get(p.commentId);
+        if (!comment) return [404, { message: 'Comment not found' }];
+        return mockToggleLike(comment, viewer, p.liked ?? !comment.likedBy.has(viewer));
+    },
+    setShare: (p) => {
+        mockPost(p.entityId).shares++;
+        return { entityId: p.entityId, sharesCount: mockPost(p.entityId).shares };
+    },
+    createComment: (p, viewer) => {
+        const comment = mockInsertComment({ entity: p.entityId, author: viewer, text: p.comment, replyId: p.replyId || null });
+        return { message: 'Comment created', comment: mockSerializeComment(comment, viewer) };
+    },
+    editComment: (p, viewer) => {
+        const comment = mockDb.comments.get(p.commentId);
+        if (!comment || comment.author !== viewer) return [403, { message: 'You cannot edit this comment' }];
+        comment.text = p.editComment;
+        comment.isEdited = true;
+        return { message: 'Comment edited', comment: mockSerializeComment(comment, viewer) };
+    },
+    delComment: (p, viewer) => {
+        const comment = mockDb.comments.get(p.commentId);
+        if (!comment || comment.author !== viewer) return [403, { message: 'You cannot delete this comment' }];
+        mockDb.comments.delete(comment._id);
+        return { message: 'Comment deleted', entityId: p.entityId, commentId: comment._id };
+    },
+    reportComment: () => ({ message: 'Comment reported' }),
+    translateComment: (p) => ({ translation: mockDb.comments.get(p.commentId)?.text || '' }),
+    unfurlLink: (p) => {
+        try {
+            const { hostname, pathname } = new URL(p.url);
+            return { url: p.url, siteName: hostname, title: pathname.split('/').filter(Boolean).pop() || hostname, description: null, image: null };
+        } catch {
+            return [400, { message: 'Invalid URL' }];
+        }
+    },
+    getComments: (p, viewer) => ({
+        entity: p.entityId,
+        comments: mockPage(mockCommentsWhere((c) => c.entity === p.entityId && !c.parent).sort(MOCK_THREAD_SORTS[p.sort] || byNewest), p.lastCommentId, p.includeLast, viewer)
+    }),
+    getReplies: (p, viewer) => ({
+        entity: p.entityId,
+        commentId: p.commentId,
+        comments: mockPage(mockCommentsWhere((c) => c.parent === p.commentId).sort(byOldest), p.lastCommentId, false, viewer)
+    }),
+    getNested: (p, viewer) => {
+        const withReplies = (comment) => ({
+            ...mockSerializeComment(comment, viewer),
+            replies: { list: mockCommentsWhere((c) => c.parent === comment._id).sort(byOldest).map(withReplies), hasMore: false }
+        });
+        return {
+            entityId: p.entityId,
+            commentId: p.commentId,
+            list: mockCommentsWhere((c) => c.parent === p.commentId).sort(byOldest).map(withReplies)
+        };
+    },
+    getProfile: (p, viewer) => mockDb.profiles.has(p.author)
+        ? { profile: mockFullProfile(p.author, viewer) }
+        : [404, { message: 'Profile not found' }],
+    getMyProfile: (p, viewer) => ({ profile: mockFullProfile(viewer, viewer) }),
+    getMention: (p, viewer) => mockDb.profiles.has(p.mention)
+        ? { profile: mockFullProfile(p.mention, viewer) }
+        : [404, { message: 'Profile not found' }],
+    getAnalysis: (p) => {
+        const comments = mockCommentsWhere((c) => c.entity === p.entityId);
+        return {
+            analysis: {
+                title: mockPost(p.entityId).title,
+                debateSummary: `${comments.length} comments in this conversation.`,
+                sentiment: { positive: '60%', neutral: '30%', negative: '10%' },
+                highlightedComments: []
+            }
+        };
+    },
+    followUser: (p, viewer) => {
+        mockDb.follows.add(`${viewer}>${p.memberId}`);
+        return { profile: mockFullProfile(viewer, viewer), requiresApproval: false };
+    },
+    unfollowUser: (p, viewer) => {
+        mockDb.follows.delete(`${viewer}>${p.memberId}`);
+        return { profile: mockFullProfile(viewer, viewer), requiresApproval: false };
+    },
+    cancelFollowRequest: (p, viewer) => ({ profile: mockFullProfile(viewer, viewer), requiresApproval: false }),
+    approveFollowUser: (p, viewer) => {
+        if (p.approve) mockDb.follows.add(`${p.memberId}>${viewer}`);
+        return { profile: mockFullProfile(viewer, viewer) };
+    },
+    blockUser: (p, viewer) => {
+        mockDb.blocks.add(`${viewer}>${p.memberId}`);
+        return { memberId: p.memberId, block: true };
+    },
+    unblockUser: (p, viewer) => {
+        mockDb.blocks.delete(`${viewer}>${p.memberId}`);
+        return { memberId: p.memberId, block: false };
+    },
+    getBlocked: (p, viewer) => ({ result: mockFullProfile(viewer, viewer).blocked }),
+    updateProfile: (p, viewer) => {
+        mockDb.profiles.set(viewer, { ...mockProfile(viewer), [p.name]: p.value });
+        return { profile: mockFullProfile(viewer, viewer) };
+    },
+    updateSettings: (p, viewer) => {
+        const profile = mockProfile(viewer);
+        mockDb.profiles.set(viewer, { ...profile, settings: { ...profile.settings, [p.key]: p.value } });
+        return { profile: mockFullProfile(viewer, viewer) };
+    },
+    searchProfileData: (p, viewer) => {
+        const term = String(p.query || '').toLowerCase();
+        const items = mockFullProfile(p.memberId, viewer).activity[p.searchType] || [];
+        return { result: items.filter((item) => JSON.stringify(item).toLowerCase().includes(term)) };
+    },
+    getFollowingActivities: () => ({ activities: [] }),
+    toggleBookmark: (p, viewer) => {
+        const key = `${viewer}:${p.entityId}`;
+        p.attached ? mockDb.bookmarks.add(key) : mockDb.bookmarks.delete(key);
+        return { attach: Boolean(p.attached) };
+    },
+    getCommentAudio: (p) => ({ commentId: p.commentId, audio: '' }),
+    searchMention: (p, viewer) => ({ result: mockSearchProfiles(p.query, viewer) }),
+    searchAccounts: (p, viewer) => ({ result: mockSearchProfiles(p.query, viewer) }),
+};
+
+/**
+ * Answers a request from the mock backend with a real Response, so retries,
+ * caching and error handling behave as they do over the network.
+ * @param {Object} request - { action, payload, init }
+ * @returns {Promise<Response>}
+ */
+async function handleMockRequest({ action, payload = {}, init = {} }) {
+    if (!mockDb) seedMockBackend();
+    await wait(mockSettings.latency);
+    if (init.signal?.aborted) throw abortError();
+
+    const route = mockRoutes[action];
+    const viewer = payload.token ? mockSettings.user : null;
+    let result;
+
+    if (!route) {
+        result = [404, { message: `No mock route for ${action}` }];
+    } else if (!viewer && !MOCK_PUBLIC_ACTIONS.includes(action)) {
+        result = [401, { message: 'Invalid token' }];
+    } else {
+        result = route(payload, viewer);
+    }
+
+    const [status, body] = Array.isArray(result) && typeof result[0] === 'number' ? result : [200, result];
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// ==================== ROUTES ====================
+/**
+ * Maps a page action to its API request.
+ * @param {string} action - Action name
+ * @param {Object} payload - Action payload
+ * @param {Object} [context] - Request id and extra flags (e.g. `replay`)
+ * @returns {Promise<Object>|undefined} Result of the request
+ */
+function routeAction(action, payload, context = {}) {
+    const fetchAction = (url, options, successAction, responseHandler = null) =>
+        handleFetch({ action, payload, ...context }, url, options, successAction, responseHandler);
 
     switch (action) {
         case 'fetchStats':
@@ -192,292 +1722,334 @@ self.addEventListener('message', (event) => {
             if (payload.mapping && Object.keys(payload.mapping).length > 0) {
                 params.mapping = JSON.stringify(payload.mapping);
             }
-            handleFetch(action, `${apiUrl}/posts/stats?` + new URLSearchParams(params).toString(), {
+            return fetchAction(`${apiUrl}/posts/stats?` + new URLSearchParams(params).toString(), {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'statsFetched');
-            break;
 
         case 'fetchCommentLikes':
-            handleFetch(action, `${apiUrl}/comments/likes/${payload.entityId}?` + new URLSearchParams({
+            return fetchAction(`${apiUrl}/comments/likes/${payload.entityId}?` + new URLSearchParams({
                 commentIds: JSON.stringify(payload.commentIds)
             }).toString(), {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'commentLikesFetched');
-            break;
 
         case 'getCommentLikes':
-            handleFetch(action, `${apiUrl}/comments/likes/${payload.entityId}/comments/${payload.commentId}`, {
+            return fetchAction(`${apiUrl}/comments/likes/${payload.entityId}/comments/${payload.commentId}`, {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'getCommentLikesUpdated');
-            break;
 
         case 'setLike':
-            handleFetch(action, `${apiUrl}/posts/${payload.entityId}/like`, {
+            return fetchAction(`${apiUrl}/posts/${payload.entityId}/like`, {
                 method: "PUT",
                 headers: authHeaders(payload.token)
             }, 'likeUpdated');
-            break;
 
         case 'setLikeComment':
-            handleFetch(action, `${apiUrl}/comments/${payload.entityId}/comment/${payload.commentId}/like`, {
+            return fetchAction(`${apiUrl}/comments/${payload.entityId}/comment/${payload.commentId}/like`, {
                 method: "PUT",
                 headers: authHeaders(payload.token)
             }, 'likeCommentUpdated');
-            break;
 
         case 'setShare':
-            handleFetch(action, `${apiUrl}/posts/${payload.entityId}/share`, {
+            return fetchAction(`${apiUrl}/posts/${payload.entityId}/share`, {
                 method: "PUT",
                 headers: authHeaders(payload.token)
             }, 'shareUpdated');
-            break;
 
         case 'createComment':
-            handleFetch(action, payload.replyId
+            return fetchAction(payload.replyId
                 ? `${apiUrl}/comments/${payload.entityId}/comment/${payload.replyId}/reply`
                 : `${apiUrl}/comments/${payload.entityId}/comment`, {
                     method: "POST",
                     headers: authHeaders(payload.token),
                     body: JSON.stringify({ text: payload.comment, audio: payload?.audioBase64, hash: payload?.audioHash })
                 }, 'commentCreated', handleCommentResponse);
-            break;
 
         case 'editComment':
             payload.isEdit = true;
-            handleFetch(action, `${apiUrl}/comments/${payload.entityId}/comment/${payload.commentId}/edit`, {
+            return fetchAction(`${apiUrl}/comments/${payload.entityId}/comment/${payload.commentId}/edit`, {
                 method: "PATCH",
                 headers: authHeaders(payload.token),
                 body: JSON.stringify({ text: payload.editComment })
-            }, 'commentCreated', handleCommentResponse);
-            break;
+            }, 'commentEdited', handleCommentResponse);
 
         case 'getComments': {
             url = new URL(`${apiUrl}/posts/${payload.entityId}/thread`);
+            if (payload.sort) url.searchParams.append('sort', payload.sort);
             if (payload.lastCommentId) url.searchParams.append('lastCommentId', payload.lastCommentId);
             if (payload.includeLast) url.searchParams.append('includeLast', payload.includeLast);
             if (payload.forceRefresh) url.searchParams.append('forceRefresh', payload.forceRefresh);
 
-            handleFetch(action, url.toString(), {
+            return fetchAction(url.toString(), {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'commentThread');
-            break;
         }
 
         case 'getReplies': {
             url = new URL(`${apiUrl}/posts/${payload.entityId}/replies/${payload.commentId}`);
             if (payload.lastCommentId) url.searchParams.append('lastCommentId', payload.lastCommentId);
-            handleFetch(action, url.toString(), {
+            return fetchAction(url.toString(), {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'repliesThread');
-            break;
         }
 
         case 'getNested': {
             url = new URL(`${apiUrl}/posts/${payload.entityId}/nested`);
             if (payload.commentId) url.searchParams.append('commentId', payload.commentId);
             if (payload.replyId) url.searchParams.append('replyId', payload.replyId);
-            handleFetch(action, url.toString(), {
+            return fetchAction(url.toString(), {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'commentNested');
-            break;
         }
 
         case 'delComment':
-            handleFetch(action, `${apiUrl}/comments/${payload.entityId}/comment/${payload.commentId}/delete`, {
+            return fetchAction(`${apiUrl}/comments/${payload.entityId}/comment/${payload.commentId}/delete`, {
                 method: "DELETE",
                 headers: authHeaders(payload.token)
             }, 'delComment');
-            break;
 
         case 'reportComment':
-            handleFetch(action, `${apiUrl}/comments/${payload.entityId}/comment/${payload.commentId}/report`, {
+            return fetchAction(`${apiUrl}/comments/${payload.entityId}/comment/${payload.commentId}/report`, {
                 method: "POST",
                 headers: authHeaders(payload.token),
                 body: JSON.stringify({ type: payload.type, blocked: payload.hideAuthorContent })
             }, 'reportedComment');
-            break;
 
         case 'translateComment':
-            handleFetch(action, `${apiUrl}/comments/${payload.entityId}/comment/${payload.commentId}/translate`, {
+            return fetchAction(`${apiUrl}/comments/${payload.entityId}/comment/${payload.commentId}/translate`, {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'translatedComment');
-            break;
 
         case 'getProfile':
-            handleFetch(action, `${apiUrl}/profile/${payload.author}/get`, {
+            return fetchAction(`${apiUrl}/profile/${payload.author}/get`, {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'returnProfile');
-            break;
 
         case 'getMyProfile':
-            handleFetch(action, `${apiUrl}/profile/get`, {
+            return fetchAction(`${apiUrl}/profile/get`, {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'returnMyProfile');
-            break;
+
+        case 'unfurlLink': {
+            url = new URL(`${apiUrl}/links/unfurl`);
+            url.searchParams.append('url', payload.url);
+            // Previews are the same for every reader: no token, so one shared cache entry
+            return fetchAction(url.toString(), {
+                method: "GET",
+                headers: { "Content-Type": "application/json" }
+            }, 'linkUnfurled');
+        }
 
         case 'getMention':
-            handleFetch(action, `${apiUrl}/profile/${payload.mention}/mention`, {
+            return fetchAction(`${apiUrl}/profile/${payload.mention}/mention`, {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'returnMention');
-            break;
 
         case 'getLikes':
             url = `${apiUrl}/posts/likes/${payload.entityId}`;
             if (payload.commentId) url += `/comments/${payload.commentId}`;
-            handleFetch(action, url, {
+            return fetchAction(url, {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'getLikeUpdated');
-            break;
 
         case 'getAnalysis':
             url = `${apiUrl}/posts/analysis/${payload.entityId}`;
-            handleFetch(action, url, {
+            return fetchAction(url, {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'getAnalysisResult');
-            break;
 
         case 'followUser':
-            handleFetch(action, `${apiUrl}/profile/${payload.memberId}/follow`, {
+            return fetchAction(`${apiUrl}/profile/${payload.memberId}/follow`, {
                 method: 'POST',
                 headers: authHeaders(payload.token)
             }, 'userFollowed');
-            break;
 
         case 'unfollowUser':
-            handleFetch(action, `${apiUrl}/profile/${payload.memberId}/follow`, {
+            return fetchAction(`${apiUrl}/profile/${payload.memberId}/follow`, {
                 method: 'DELETE',
                 headers: authHeaders(payload.token)
             }, 'userUnfollowed');
-            break;
 
         case 'cancelFollowRequest':
-            handleFetch(action, `${apiUrl}/profile/${payload.memberId}/cancel-follow`, {
+            return fetchAction(`${apiUrl}/profile/${payload.memberId}/cancel-follow`, {
                 method: 'DELETE',
                 headers: authHeaders(payload.token)
-            }, 'userUnfollowed');
-            break;
+            }, 'followRequestCancelled');
 
         case 'approveFollowUser':
-            handleFetch(action, `${apiUrl}/profile/${payload.memberId}/follow/approve`, {
+            return fetchAction(`${apiUrl}/profile/${payload.memberId}/follow/approve`, {
                 method: 'PATCH',
                 headers: authHeaders(payload.token),
                 body: JSON.stringify({ approve: payload.approve })
             }, 'userApprovefollowed');
-            break;
 
         case 'unblockUser':
-            handleFetch(action, `${apiUrl}/profile/${payload.memberId}/cancel-block`, {
+            return fetchAction(`${apiUrl}/profile/${payload.memberId}/cancel-block`, {
                 method: 'DELETE',
                 headers: authHeaders(payload.token)
             }, 'memberBlockStatus');
-            break;
             
         case 'blockUser':
-            handleFetch(action, `${apiUrl}/profile/${payload.memberId}/block`, {
+            return fetchAction(`${apiUrl}/profile/${payload.memberId}/block`, {
                 method: 'POST',
                 headers: authHeaders(payload.token)
             }, 'memberBlockStatus');
-            break;
 
         case 'getBlocked':
-            handleFetch(action, `${apiUrl}/profile/blocked`, {
+            return fetchAction(`${apiUrl}/profile/blocked`, {
                 method: 'GET',
                 headers: authHeaders(payload.token)
             }, 'returnBlocked');
-            break;
 
         case 'updateProfile':
-            handleFetch(action, `${apiUrl}/profile/update`, {
+            return fetchAction(`${apiUrl}/profile/update`, {
                 method: 'PATCH',
                 headers: authHeaders(payload.token),
                 body: JSON.stringify({ [payload.name]: payload.value })
             }, 'updatedProfile');
-            break;
 
         case 'searchProfileData':
             queryParams = new URLSearchParams({
                 type: payload.searchType,
                 query: payload.query
             });
-            handleFetch(action, `${apiUrl}/profile/${payload.memberId}/search?${queryParams.toString()}`, {
+            return fetchAction(`${apiUrl}/profile/${payload.memberId}/search?${queryParams.toString()}`, {
                 method: 'GET',
                 headers: authHeaders(payload.token)
             }, 'searchProfileResults');
-            break;
 
         case 'getFollowingActivities':
             url = new URL(`${apiUrl}/profile/following/activities`);
             if (payload.lastActivityTime) url.searchParams.append('lastActivityTime', payload.lastActivityTime);
-            handleFetch(action, url.toString(), {
+            return fetchAction(url.toString(), {
                 method: 'GET',
                 headers: authHeaders(payload.token),
             }, 'followingActivities');
-            break;
 
         case 'toggleBookmark':
-            handleFetch(action, `${apiUrl}/profile/${payload.entityId}/bookmark`, {
+            return fetchAction(`${apiUrl}/profile/${payload.entityId}/bookmark`, {
                 method: "POST",
                 headers: authHeaders(payload.token)
             }, 'bookmarkUpdated');
-            break;
 
         case 'getCommentAudio':
-            handleFetch(action, `${apiUrl}/comments/audio/${payload.commentId}`, {
+            return fetchAction(`${apiUrl}/comments/audio/${payload.commentId}`, {
                 method: "GET",
                 headers: authHeaders(payload.token)
             }, 'returnAudio');
-            break;
 
         case 'updateSettings':
-            handleFetch(action, `${apiUrl}/profile/settings`, {
+            return fetchAction(`${apiUrl}/profile/settings`, {
                 method: 'PATCH',
                 headers: authHeaders(payload.token),
                 body: JSON.stringify({ key:payload.key, value:payload.value })
             }, 'updatedSettingsProfile');
-            break;
 
         case 'searchMention':
             queryParams = new URLSearchParams({
                 query: payload.query
             });
-            handleFetch(action, `${apiUrl}/profile/search-followers?${queryParams.toString()}`, {
+            return fetchAction(`${apiUrl}/profile/search-followers?${queryParams.toString()}`, {
                 method: 'GET',
                 headers: authHeaders(payload.token)
             }, 'searchMentionResults');
-        break;
        
         case 'searchAccounts':
             queryParams = new URLSearchParams({
                 query: payload.query
             });
-            handleFetch(action, `${apiUrl}/profile/search-followers?${queryParams.toString()}`, {
+            return fetchAction(`${apiUrl}/profile/search-followers?${queryParams.toString()}`, {
                 method: 'GET',
                 headers: authHeaders(payload.token)
             }, 'searchAccountsResults');
-        break;
         default:
-            self.postMessage({ action: 'error', payload: 'Unknown action' });
+            fail({ action, payload, ...context }, 'error', 'UNKNOWN_ACTION', new Error(`Unknown action: ${action}`), { payload: { action } });
+            return Promise.resolve({ ok: false, error: new Error(`Unknown action: ${action}`) });
     }
+}
 
-    /**
-     * Función de utilidad para construir headers comunes con auth
-     */
-    function authHeaders(token) {
-        return {
-            "Authorization": `Bearer ${token}`,
-            "Content-Type": "application/json"
-        };
+/**
+ * Picks the highest protocol version both sides support.
+ * @param {number[]} offered - Versions the page can speak
+ * @returns {number|null}
+ */
+function negotiateProtocol(offered) {
+    const versions = (Array.isArray(offered) ? offered : [offered]).filter((version) => SUPPORTED_PROTOCOLS.includes(version));
+    return versions.length ? Math.max(...versions) : null;
+}
+
+/**
+ * Control actions handled by the worker itself instead of being routed to the API.
+ */
+const controlActions = {
+    'replayOutbox': (payload) => replayOutbox(payload || {}),
+    'setSession': (payload) => { sessionOwner = payload?.session || null; },
+    'subscribeThread': (payload) => subscribeThread(payload),
+    'unsubscribeThread': () => unsubscribeThread(),
+    'watchEntities': (payload) => watchEntities(payload),
+    'invalidate': (payload) => invalidateEntity(payload?.entityId),
+    'abort': (payload) => abortRequest(payload?.id),
+};
+
+function initialize(request) {
+    const { payload } = request;
+    const version = negotiateProtocol(payload.protocols || request.protocol);
+
+    if (!version) {
+        fail(request, 'error', 'UNSUPPORTED_PROTOCOL', new Error(`Unsupported protocol, worker speaks ${SUPPORTED_PROTOCOLS.join(', ')}`), { silent: true });
+        return;
+    }
+
+    protocolVersion = version;
+    sharedIp = payload.ip;
+    sharedLocation = payload.location;
+    sessionOwner = payload.session || null;
+    apiUrl = payload.apiUrl || apiUrl;
+    useCaptcha = payload.useCaptcha || false;
+    retryConfig = { ...retryConfig, ...(payload.retry || {}) };
+    cacheSettings = { ...cacheSettings, ...(payload.cache || {}) };
+    realtimeConfig = { ...realtimeConfig, ...(payload.realtime || {}) };
+    transportName = transports[payload.transport] ? payload.transport : 'http';
+    transport = transports[transportName];
+    // Re-inits happen on runtime config changes; keep the mock state of the session
+    if (transportName === 'mock' && !mockDb) seedMockBackend(payload.mock || {});
+    closeDisabledChannels();
+
+    respond(request, { action: 'ready', silent: true, payload: { protocol: version } });
+}
+
+self.addEventListener('message', (event) => {
+    const { protocol, id, action, payload = {} } = event.data || {};
+    const request = { protocol, id, action, payload };
+
+    if (action === 'init') {
+        initialize(request);
+        return;
     }
-});
\ No newline at end of file
+
+    if (!SUPPORTED_PROTOCOLS.includes(protocol)) {
+        fail(request, 'error', 'UNSUPPORTED_PROTOCOL', new Error(`Unsupported protocol: ${protocol}`), { payload: { action } });
+        return;
+    }
+
+    if (controlActions[action]) {
+        Promise.resolve(controlActions[action](payload))
+            .then(() => respond(request, { action, silent: true, payload: null }))
+            .catch((error) => fail(request, 'error', 'REQUEST_FAILED', error, { silent: true }));
+        return;
+    }
+
+    routeAction(action, payload, { id });
+});
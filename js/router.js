@@ -0,0 +1,118 @@
+/*!
+ * QUELORA – Real-time interaction platform for websites
+ * 
+ * @author German Zelaya
+ * @version 1.0.0
+ * @since 2025
+* @license Licensed under the GNU Affero General Public License v3.0
+ * 
+ * Copyright (C) 2025 German Zelaya
+ * 
+ * QUELORA is an open-source platform designed to add real-time comments,
+ * posts, and reactions to websites. Its lightweight widget (~170KB uncompressed)
+ * integrates easily into any page without the need for frameworks like React
+ * or jQuery. It includes support for AI-powered automated moderation,
+ * engagement analytics, and a multi-tenant dashboard to manage multiple sites
+ * from a single interface.
+ * 
+ * This script is part of the QUELORA project, available at:
+ * https://www.quelora.org/
+ * 
+ * This program is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Router Module - Detects client-side navigation in single-page apps
+ * Provides functionality to:
+ * - Wrap history.pushState/replaceState, which fire no event of their own
+ * - Listen to popstate and hashchange
+ * - Report each real location change once, after the new view had time to render
+ */
+
+let routeListener = null;
+let lastLocation = null;
+let settleTimer = null;
+const originalMethods = {};
+
+/**
+ * Calls the route listener when the URL actually changed. Drawers push states
+ * with the same URL, so those are ignored.
+ */
+function notifyRouteChange(settleDelay) {
+    if (window.location.href === lastLocation) return;
+    lastLocation = window.location.href;
+
+    clearTimeout(settleTimer);
+    settleTimer = setTimeout(() => routeListener?.(lastLocation), settleDelay);
+}
+
+function patchHistoryMethod(method, onChange) {
+    originalMethods[method] = history[method];
+    history[method] = function (...args) {
+        const result = originalMethods[method].apply(this, args);
+        onChange();
+        return result;
+    };
+}
+
+/**
+ * Starts reporting route changes.
+ * @param {Function} onRouteChange - Called with the new URL
+ * @param {Object} [options] - { settleDelay } in ms, time given to the router to render the new view
+ */
+function startRouter(onRouteChange, { settleDelay = 50 } = {}) {
+    try {
+        stopRouter();
+
+        routeListener = onRouteChange;
+        lastLocation = window.location.href;
+        const onChange = () => notifyRouteChange(settleDelay);
+
+        patchHistoryMethod('pushState', onChange);
+        patchHistoryMethod('replaceState', onChange);
+        window.addEventListener('popstate', onChange);
+        window.addEventListener('hashchange', onChange);
+        originalMethods.onChange = onChange;
+    } catch (error) {
+        console.error('Error starting router:', error);
+    }
+}
+
+/**
+ * Restores the history methods and removes the listeners.
+ */
+function stopRouter() {
+    if (!routeListener) return;
+
+    ['pushState', 'replaceState'].forEach(method => {
+        if (originalMethods[method]) history[method] = originalMethods[method];
+        delete originalMethods[method];
+    });
+    window.removeEventListener('popstate', originalMethods.onChange);
+    window.removeEventListener('hashchange', originalMethods.onChange);
+    delete originalMethods.onChange;
+
+    clearTimeout(settleTimer);
+    routeListener = null;
+    lastLocation = null;
+}
+
+// PUBLIC API
+const RouterModule = {
+    startRouter,
+    stopRouter,
+    isActive: () => routeListener !== null
+};
+
+export default RouterModule;
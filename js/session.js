@@ -39,10 +39,11 @@ import ConfModule from './conf.js';
 import UtilsModule from './utils.js';
 
 /**
- * Configuration object for authentication providers and backend URLs.
+ * Reads authentication providers and backend URLs from the configuration.
  * @private
+ * @returns {Object}
  */
-const config = {
+const readConfig = () => ({
   googleClientId: ConfModule.get('login.providerDetails.Google.clientId', ''),
   facebookAppId: ConfModule.get('login.providerDetails.Facebook.appId', ''),
   appleClientId: ConfModule.get('login.providerDetails.Apple.clientId', ''),
@@ -51,7 +52,13 @@ const config = {
   backendRenewTokenUrl: ConfModule.get('apiUrl') ? `${ConfModule.get('apiUrl')}/login/renew-token` : '',
   pollInterval: ConfModule.get('pollInterval', 2000),
   timeout: ConfModule.get('timeout', 120000),
-};
+});
+
+/**
+ * Configuration object for authentication providers and backend URLs.
+ * @private
+ */
+const config = readConfig();
 
 /**
  * Module for managing user authentication sessions.
@@ -65,6 +72,32 @@ const Session = (function () {
   let isModalOpen = false;
   let googleScriptLoaded = false;
   let facebookScriptLoaded = false;
+  const sessionListeners = new Set();
+
+  /**
+   * Notifies session listeners that the user signed in or out.
+   * @private
+   * @param {boolean} authenticated - Whether a valid token is now available.
+   */
+  function notifySessionChange(authenticated) {
+    sessionListeners.forEach((listener) => {
+      try {
+        listener({ authenticated });
+      } catch (error) {
+        console.error('Error executing session listener:', error);
+      }
+    });
+  }
+
+  /**
+   * Subscribes to sign-in and sign-out changes.
+   * @param {Function} listener - Receives { authenticated }.
+   * @returns {Function} Unsubscribe function.
+   */
+  function onSessionChange(listener) {
+    sessionListeners.add(listener);
+    return () => sessionListeners.delete(listener);
+  }
 
   /**
    * Loads Google and Facebook authentication scripts if configured.
@@ -514,6 +547,9 @@ const Session = (function () {
       token = data.token;
       StorageModule.setSessionItem('quelora_sso_token', token);
       StorageModule.setSessionItem('quelora_sso_token_expires', (Date.now() + (data.expires_in || 3600) * 1000).toString());
+      StorageModule.removeLocalItem('quelora_session_id');
+      StorageModule.setSessionItem('quelora_session_id', createSessionId());
+      notifySessionChange(true);
 
       await NotificationModule.subscribeToPushNotifications(token);
       await NotificationModule.requestNotificationPermission();
@@ -636,6 +672,36 @@ const Session = (function () {
     return null;
   }
 
+  /**
+   * Creates a random id for a new sign-in.
+   * @private
+   * @returns {string}
+   */
+  function createSessionId() {
+    return crypto.randomUUID?.() || `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+  }
+
+  /**
+   * Retrieves the id of the current sign-in. Unlike the token it survives
+   * renewals, so data kept for a signed-in user can be told apart from data
+   * of a later sign-in on the same device.
+   * @returns {string|null} Session id or null if signed out.
+   */
+  function getSessionId() {
+    if (!getTokenIfAvailable()) return null;
+    const storedId = StorageModule.getLocalItem('quelora_session_id') || StorageModule.getSessionItem('quelora_session_id');
+    if (storedId) return storedId;
+
+    // Sign-ins from before session ids existed get one on first use
+    const sessionId = createSessionId();
+    if (StorageModule.getLocalItem('quelora_sso_token')) {
+      StorageModule.setLocalItem('quelora_session_id', sessionId);
+    } else {
+      StorageModule.setSessionItem('quelora_session_id', sessionId);
+    }
+    return sessionId;
+  }
+
   /**
    * Persists session token to local storage.
    * @returns {boolean} True if session was persisted, false otherwise.
@@ -646,6 +712,7 @@ const Session = (function () {
     if (sessionToken && sessionExpires) {
       StorageModule.setLocalItem('quelora_sso_token', sessionToken);
       StorageModule.setLocalItem('quelora_sso_token_expires', sessionExpires);
+      StorageModule.setLocalItem('quelora_session_id', getSessionId());
       return true;
     }
     return false;
@@ -656,6 +723,7 @@ const Session = (function () {
    * @returns {Promise<void>}
    */
   async function logout() {
+    const wasAuthenticated = Boolean(getTokenIfAvailable());
     try {
       const currentToken = getTokenIfAvailable();
       if (currentToken) await NotificationModule.unsubscribeFromPushNotifications(currentToken);
@@ -667,9 +735,35 @@ const Session = (function () {
       StorageModule.removeLocalItem('quelora_sso_token_expires');
       StorageModule.removeSessionItem('quelora_sso_token');
       StorageModule.removeSessionItem('quelora_sso_token_expires');
+      StorageModule.removeLocalItem('quelora_session_id');
+      StorageModule.removeSessionItem('quelora_session_id');
+      if (wasAuthenticated) notifySessionChange(false);
     }
   }
 
+  /**
+   * Re-reads the provider configuration after a runtime change and rebuilds
+   * the login modal if it is open, so new providers show up immediately.
+   * @private
+   */
+  function refreshProviders() {
+    const previousFacebookAppId = config.facebookAppId;
+    Object.assign(config, readConfig());
+
+    if (facebookScriptLoaded && window.FB && config.facebookAppId && config.facebookAppId !== previousFacebookAppId) {
+      FB.init({ appId: config.facebookAppId, cookie: true, xfbml: true, version: 'v18.0' });
+    }
+
+    if (!modal) return;
+    modal.remove();
+    modal = null;
+    createModal();
+    loadAuthScripts();
+    initializeAuthProviders();
+  }
+
+  ['login', 'apiUrl', 'pollInterval', 'timeout'].forEach((keyPath) => ConfModule.onChange(keyPath, refreshProviders));
+
   // Handle OAuth callback
   window.addEventListener ('load', () => {
     const urlParams = new URLSearchParams(window.location.search);
@@ -685,8 +779,10 @@ const Session = (function () {
     getToken,
     renewToken,
     getTokenIfAvailable,
+    getSessionId,
     rememberSession,
     logout,
+    onSessionChange,
   };
 })();
 
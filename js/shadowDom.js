@@ -0,0 +1,401 @@
+/*!
+ * QUELORA – Real-time interaction platform for websites
+ * 
+ * @author German Zelaya
+ * @version 1.0.0
+ * @since 2025
+* @license Licensed under the GNU Affero General Public License v3.0
+ * 
+ * Copyright (C) 2025 German Zelaya
+ * 
+ * QUELORA is an open-source platform designed to add real-time comments,
+ * posts, and reactions to websites. Its lightweight widget (~170KB uncompressed)
+ * integrates easily into any page without the need for frameworks like React
+ * or jQuery. It includes support for AI-powered automated moderation,
+ * engagement analytics, and a multi-tenant dashboard to manage multiple sites
+ * from a single interface.
+ * 
+ * This script is part of the QUELORA project, available at:
+ * https://www.quelora.org/
+ * 
+ * This program is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Shadow DOM Module - Lets Quelora see into open shadow roots and render
+ * interaction bars inside their own shadow root.
+ * - `shadowDom.enabled`: discovery, lookups and observers traverse open shadow roots
+ * - `shadowDom.isolateBar`: each bar is rendered in a shadow root that adopts
+ *   Quelora's CSS as a constructable stylesheet, so host styles don't leak in
+ * - `shadowDom.stylesheetUrl`: CSS to adopt when it cannot be read from the page
+ */
+import ConfModule from './conf.js';
+
+/** @type {Promise<CSSStyleSheet|null>|null} Stylesheet shared by every isolated bar */
+let sharedSheet = null;
+
+const HOST_CLASS = 'quelora-bar-host';
+
+/** @type {Set<ShadowRoot>} Open shadow roots in the document, kept current by `tracker` */
+const knownRoots = new Set();
+/** @type {MutationObserver|null} Watches the document and the known roots for hosts coming and going */
+let tracker = null;
+/** @type {Map<MutationObserver, {callback: MutationCallback, target: Node, options: MutationObserverInit, roots: Set<ShadowRoot>}>} */
+const deepObservers = new Map();
+/** @type {Set<string>} Custom elements awaiting their definition, which may attach a shadow root */
+const pendingDefinitions = new Set();
+
+const TRACKER_OPTIONS = { childList: true, subtree: true };
+
+// ==================== HELPERS ====================
+const handleError = (error, context) => {
+    console.error(`Error in ${context}:`, error);
+    return null;
+};
+
+/**
+ * Whether lookups have to look inside shadow roots. Isolated bars live in
+ * shadow roots too, so they turn traversal on.
+ * @returns {boolean}
+ */
+const isEnabled = () => Boolean(ConfModule.get('shadowDom.enabled', false) || ConfModule.get('shadowDom.isolateBar', false));
+
+/**
+ * Collects the open shadow roots below a node, including nested ones.
+ * @param {Node} root - Document, shadow root or element to start from
+ * @returns {ShadowRoot[]}
+ */
+const getOpenShadowRoots = (root) => {
+    const roots = [];
+    const visit = (element) => {
+        if (!element.shadowRoot) return;
+        roots.push(element.shadowRoot);
+        walk(element.shadowRoot);
+    };
+    const walk = (scope) => scope.querySelectorAll?.('*').forEach(visit);
+
+    if (root?.nodeType === Node.ELEMENT_NODE) visit(root);
+    walk(root);
+    return roots;
+};
+
+/**
+ * Whether a node is below another one, crossing shadow boundaries.
+ * @param {Node} ancestor - Possible ancestor
+ * @param {Node} node - Node to check
+ * @returns {boolean}
+ */
+const containsComposed = (ancestor, node) => {
+    for (let current = node; current; current = current.parentNode || current.host) {
+        if (current === ancestor) return true;
+    }
+    return false;
+};
+
+// ==================== SHADOW ROOT TRACKING ====================
+/**
+ * Adds roots to the known set and to the deep observers watching their host.
+ * @param {ShadowRoot[]} roots - Roots found below an added node
+ */
+const addRoots = (roots) => roots.forEach(root => {
+    if (knownRoots.has(root)) return;
+    knownRoots.add(root);
+    tracker.observe(root, TRACKER_OPTIONS);
+
+    deepObservers.forEach((entry, observer) => {
+        if (!containsComposed(entry.target, root.host)) return;
+        observer.observe(root, entry.options);
+        entry.roots.add(root);
+    });
+});
+
+/**
+ * Custom elements upgraded after insertion attach their shadow root without
+ * a mutation; look at them again once they are defined.
+ * @param {Node} node - Added node or document
+ */
+const watchUndefined = (node) => {
+    if (typeof customElements === 'undefined' || !node.querySelectorAll) return;
+
+    const undefinedElements = Array.from(node.querySelectorAll(':not(:defined)'));
+    if (node.matches?.(':not(:defined)')) undefinedElements.push(node);
+
+    undefinedElements.forEach(({ localName }) => {
+        if (pendingDefinitions.has(localName)) return;
+        pendingDefinitions.add(localName);
+        customElements.whenDefined(localName).then(() => {
+            pendingDefinitions.delete(localName);
+            if (tracker) querySelectorAllDeep(localName).forEach(discoverRoots);
+        });
+    });
+};
+
+const discoverRoots = (node) => {
+    addRoots(getOpenShadowRoots(node));
+    watchUndefined(node);
+};
+
+/**
+ * Forgets roots whose host left the document. A MutationObserver cannot stop
+ * watching a single node, so the tracker and the deep observers that watched
+ * them are reconnected to what remains, after delivering their pending records.
+ */
+const pruneRoots = () => {
+    const removed = Array.from(knownRoots).filter(root => !root.host.isConnected);
+    if (!removed.length) return;
+
+    removed.forEach(root => knownRoots.delete(root));
+    tracker.disconnect();
+    tracker.observe(document, TRACKER_OPTIONS);
+    knownRoots.forEach(root => tracker.observe(root, TRACKER_OPTIONS));
+
+    deepObservers.forEach((entry, observer) => {
+        if (!removed.some(root => entry.roots.has(root))) return;
+
+        const records = observer.takeRecords();
+        MutationObserver.prototype.disconnect.call(observer);
+        removed.forEach(root => entry.roots.delete(root));
+        observer.observe(entry.target, entry.options);
+        entry.roots.forEach(root => observer.observe(root, entry.options));
+        if (records.length) entry.callback(records, observer);
+    });
+};
+
+const handleTrackerMutations = (mutations) => {
+    let removed = false;
+    mutations.forEach(mutation => {
+        mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) discoverRoots(node);
+        });
+        removed = removed || mutation.removedNodes.length > 0;
+    });
+    if (removed) pruneRoots();
+};
+
+/**
+ * Open shadow roots in the document. The first call walks the document once;
+ * after that the set is kept current from mutations instead of re-walking.
+ * @returns {Set<ShadowRoot>}
+ */
+const getDocumentRoots = () => {
+    if (!tracker) {
+        tracker = new MutationObserver(handleTrackerMutations);
+        tracker.observe(document, TRACKER_OPTIONS);
+        discoverRoots(document);
+    }
+    return knownRoots;
+};
+
+/**
+ * Stops tracking shadow roots and forgets the deep observers.
+ */
+const stopTracking = () => {
+    tracker?.disconnect();
+    tracker = null;
+    knownRoots.clear();
+    deepObservers.clear();
+    pendingDefinitions.clear();
+};
+
+/**
+ * Roots to search below a lookup root: the tracked set for the document,
+ * a walk of the subtree otherwise.
+ * @param {Node} root - Where the lookup starts
+ * @returns {Iterable<ShadowRoot>}
+ */
+const getRootsBelow = (root) => root === document ? getDocumentRoots() : getOpenShadowRoots(root);
+
+/**
+ * Rewrites page-level selectors so they also apply inside a shadow root.
+ * @param {string} cssText - CSS as written for the document
+ * @returns {string}
+ */
+const adaptToShadowRoot = (cssText) => cssText.replace(/:root\b/g, ':root, :host');
+
+/**
+ * Reads a stylesheet's rules, following its @import rules.
+ * @param {CSSStyleSheet} sheet - Stylesheet from the page
+ * @returns {string} CSS text
+ */
+const readRules = (sheet) => Array.from(sheet.cssRules, rule =>
+    rule instanceof CSSImportRule && rule.styleSheet ? readRules(rule.styleSheet) : rule.cssText
+).join('\n');
+
+/**
+ * Fetches a stylesheet and inlines its @import rules, which constructable
+ * stylesheets do not support.
+ * @param {string} url - Stylesheet URL
+ * @returns {Promise<string>} CSS text
+ */
+const fetchWithImports = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+
+    const cssText = await response.text();
+    const imports = [...cssText.matchAll(/@import\s+(?:url\()?['"]?([^'")\s]+)['"]?\)?\s*;/g)];
+    const inlined = await Promise.all(imports.map(([, href]) => fetchWithImports(new URL(href, url).href)));
+
+    return imports.reduce((text, [statement], index) => text.replace(statement, inlined[index]), cssText);
+};
+
+/**
+ * Builds Quelora's CSS as a constructable stylesheet: from the stylesheets the
+ * page already loaded, else from `shadowDom.stylesheetUrl`.
+ * @returns {Promise<CSSStyleSheet|null>}
+ */
+const getStyleSheet = () => {
+    if (sharedSheet) return sharedSheet;
+
+    sharedSheet = (async () => {
+        try {
+            let cssText = Array.from(document.styleSheets)
+                .filter(sheet => /quelora[^/]*\.css/.test(sheet.href || ''))
+                .map(sheet => {
+                    try {
+                        return readRules(sheet);
+                    } catch {
+                        return ''; // Cross-origin sheets can't be read
+                    }
+                })
+                .join('\n');
+
+            const url = ConfModule.get('shadowDom.stylesheetUrl', null);
+            if (!cssText && url) cssText = await fetchWithImports(new URL(url, document.baseURI).href);
+            if (!cssText) throw new Error('Quelora CSS not found; set shadowDom.stylesheetUrl');
+
+            const sheet = new CSSStyleSheet();
+            sheet.replaceSync(adaptToShadowRoot(cssText));
+            return sheet;
+        } catch (error) {
+            sharedSheet = null;
+            return handleError(error, 'ShadowDomModule.getStyleSheet');
+        }
+    })();
+
+    return sharedSheet;
+};
+
+// ==================== PUBLIC METHODS ====================
+/**
+ * querySelectorAll that also searches open shadow roots when enabled.
+ * @param {string} selector - CSS selector
+ * @param {Node} [root=document] - Where to start
+ * @returns {Element[]}
+ */
+const querySelectorAllDeep = (selector, root = document) => {
+    const matches = Array.from(root.querySelectorAll(selector));
+    if (!isEnabled()) return matches;
+
+    getRootsBelow(root).forEach(shadowRoot => matches.push(...shadowRoot.querySelectorAll(selector)));
+    return matches;
+};
+
+/**
+ * querySelector that also searches open shadow roots when enabled.
+ * @param {string} selector - CSS selector
+ * @param {Node} [root=document] - Where to start
+ * @returns {Element|null}
+ */
+const querySelectorDeep = (selector, root = document) => {
+    const match = root.querySelector(selector);
+    if (match || !isEnabled()) return match;
+
+    for (const shadowRoot of getRootsBelow(root)) {
+        const found = shadowRoot.querySelector(selector);
+        if (found) return found;
+    }
+    return null;
+};
+
+/**
+ * Creates a MutationObserver that, when enabled, also watches the open shadow
+ * roots below the target, including those of elements added later. Roots come
+ * from the document tracker, which is created first so its records for a
+ * batch are handled before this observer's.
+ * @param {MutationCallback} callback - Mutation callback
+ * @param {Node} target - Node to observe
+ * @param {MutationObserverInit} options - Observer options
+ * @returns {MutationObserver}
+ */
+const observeDeep = (callback, target, options) => {
+    if (!isEnabled()) {
+        const observer = new MutationObserver(callback);
+        observer.observe(target, options);
+        return observer;
+    }
+
+    const roots = Array.from(getDocumentRoots()).filter(root => containsComposed(target, root.host));
+    const observer = new MutationObserver(callback);
+    const entry = { callback, target, options, roots: new Set(roots) };
+    deepObservers.set(observer, entry);
+
+    observer.observe(target, options);
+    roots.forEach(root => observer.observe(root, options));
+
+    // Owners disconnect it directly; stop handing it new roots then
+    observer.disconnect = () => {
+        deepObservers.delete(observer);
+        MutationObserver.prototype.disconnect.call(observer);
+    };
+    return observer;
+};
+
+/**
+ * Wraps an interaction bar in a host element with its own shadow root when
+ * `shadowDom.isolateBar` is on; otherwise returns the bar unchanged.
+ * @param {HTMLElement} bar - Interaction bar
+ * @returns {HTMLElement} Element to insert into the page
+ */
+const isolateBar = (bar) => {
+    if (!ConfModule.get('shadowDom.isolateBar', false) || !bar.attachShadow) return bar;
+
+    const host = document.createElement('div');
+    host.className = HOST_CLASS;
+    host.setAttribute('data-entity-interaction-host', bar.getAttribute('data-entity-interaction') || '');
+    host.style.visibility = 'hidden';
+
+    const shadowRoot = host.attachShadow({ mode: 'open' });
+    shadowRoot.appendChild(bar);
+
+    getStyleSheet().then(sheet => {
+        if (sheet) shadowRoot.adoptedStyleSheets = [sheet];
+        host.style.visibility = '';
+    });
+
+    return host;
+};
+
+/**
+ * Removes a bar, together with its host when it was isolated.
+ * @param {HTMLElement} bar - Interaction bar
+ */
+const removeBar = (bar) => {
+    const host = bar.getRootNode?.()?.host;
+    (host?.classList.contains(HOST_CLASS) ? host : bar).remove();
+};
+
+// ==================== PUBLIC API ====================
+const ShadowDomModule = {
+    isEnabled,
+    getOpenShadowRoots,
+    querySelectorAllDeep,
+    querySelectorDeep,
+    observeDeep,
+    isolateBar,
+    removeBar,
+    stopTracking,
+    HOST_CLASS
+};
+
+export default ShadowDomModule;
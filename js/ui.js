@@ -45,6 +45,8 @@ import ToastModule from './toast.js';
 import AnchorModule from './anchor.js';
 import IconsModule  from './icons.js';
 import StorageModule from './storage.js';
+import ConfModule from './conf.js';
+import ShadowDomModule from './shadowDom.js';
 
 let cachedCommunityUI = null;
 let cachedCommunityThreadsUI = null;
@@ -1328,49 +1330,73 @@ function destroyElementsByUI(id) {
     });
 }
 
+/**
+ * Creates the bar of a registration and places it relative to its mount, or hands it to its render callback
+ * @param {object} registration - Registration from EntityModule.registerEntity
+ */
+function mountRegisteredBarUI(registration) {
+    const bar = createCommunityInteractionBarUI(registration.id);
+    if (!bar) return;
+
+    const node = ShadowDomModule.isolateBar(bar);
+    if (registration.render) {
+        registration.render(node, registration.id);
+    } else {
+        const methods = { inside: 'append', before: 'before', after: 'after', replace: 'replaceWith' };
+        registration.mount[methods[registration.position] || 'append'](node);
+    }
+    EntityModule.setRegisteredBar(registration, bar);
+}
+
 function renderStatsUI(stats) {
-    try {
-        if (!Array.isArray(stats)) return;
-
-        stats.forEach(stat => {
-        if (!stat?.entity) return;
-
-        const container = EntityModule.getInteractionPlacementByEntity(stat.entity);
-        const position = EntityModule.getInteractionPosition();
-        let interactionElement = document.querySelector(`[data-entity-interaction="${stat.entity}"]`);
-
-        if (!interactionElement && container) {
-            interactionElement = createCommunityInteractionBarUI(stat.entity);
-            if (interactionElement) {
-            const positions = {
-                inside: 'appendChild',
-                before: 'insertBefore',
-                after: 'appendChild',
-                replace: 'replaceWith'
-            };
-            container[positions[position] || 'appendChild'](interactionElement);
+    if (!Array.isArray(stats)) return;
+
+    stats.forEach(stat => {
+        // One failing entity must not keep the rest of the batch from rendering
+        try {
+            if (!stat?.entity) return;
+
+            const registrations = EntityModule.getRegistrations(stat.entity);
+            registrations.filter(registration => !registration.bar).forEach(mountRegisteredBarUI);
+
+            if (!registrations.length && !ShadowDomModule.querySelectorDeep(`[data-entity-interaction="${stat.entity}"]`)) {
+                const container = EntityModule.getInteractionPlacementByEntity(stat.entity);
+                const position = EntityModule.getInteractionPosition(stat.entity);
+                const interactionElement = container && createCommunityInteractionBarUI(stat.entity);
+                if (interactionElement) {
+                    const positions = {
+                        inside: 'appendChild',
+                        before: 'insertBefore',
+                        after: 'appendChild',
+                        replace: 'replaceWith'
+                    };
+                    container[positions[position] || 'appendChild'](ShadowDomModule.isolateBar(interactionElement));
+                }
             }
-        }
 
-        if (!interactionElement) return;
+            const interactionElements = getEntityInteractionsUI(stat.entity);
+            if (!interactionElements.length) return;
 
-        UtilsModule.setStatsCache(stat);
+            UtilsModule.setStatsCache(stat);
 
-        if (UtilsModule.getConfig(stat.entity)?.visibility !== 'public') {
-            interactionElement.style.display = 'none';
-        }
+            interactionElements.forEach(interactionElement => {
+                if (UtilsModule.getConfig(stat.entity)?.visibility !== 'public') {
+                    interactionElement.style.display = 'none';
+                }
 
-        updateInteractionCounts(interactionElement, stat);
-        updateLikeUI(interactionElement, stat.authorLiked);
-        updateBookmarkUI(interactionElement, stat.authorBookmarked);
-        
-        PostsModule.attachEventListeners(stat.entity);
-        const dataEntityElement = document.querySelector(`[data-entity="${stat.entity}"]`);
-        if (dataEntityElement) dataEntityElement.setAttribute("data-entity-ready", "true");
-        });
-    } catch (error) {
-        console.error('Error rendering stats:', error);
-    }
+                updateInteractionCounts(interactionElement, stat);
+                updateLikeUI(interactionElement, stat.authorLiked);
+                updateBookmarkUI(interactionElement, stat.authorBookmarked);
+                PostsModule.watchEntityVisibility(interactionElement, stat.entity);
+            });
+
+            PostsModule.attachEventListeners(stat.entity);
+            const dataEntityElement = ShadowDomModule.querySelectorDeep(`[data-entity="${stat.entity}"]`);
+            if (dataEntityElement) dataEntityElement.setAttribute("data-entity-ready", "true");
+        } catch (error) {
+            console.error(`Error rendering stats for entity ${stat?.entity}:`, error);
+        }
+    });
 }
 
 function filterListItemsUI(inputId, listSelector) {
@@ -1463,22 +1489,32 @@ function updateIconUI(selector, activeIcon, inactiveIcon, activeState, activeCla
 const updateLikeUI = (el, liked) => updateIconUI.call(el, '.like-icon', 'favorite', 'favorite_border', liked);
 const updateBookmarkUI = (el, attached) => updateIconUI.call(el, '.bookmark', 'bookmark', 'bookmark_border', attached);
 
-function updateCounterUI(interactionElement, likesCount, isLikeAdded) {
+/**
+ * Updates a counter in an interaction bar or comment header.
+ * With `isLikeAdded` the like count moves by one and the like icon follows;
+ * without it `likesCount` is written as an absolute value (live updates).
+ * @param {HTMLElement} interactionElement - Bar or header containing the counter
+ * @param {number} likesCount - New count
+ * @param {boolean} [isLikeAdded] - Whether the current user liked or unliked
+ * @param {string} [countSelector='.like-count'] - Counter to update
+ */
+function updateCounterUI(interactionElement, likesCount, isLikeAdded, countSelector = '.like-count') {
     try {
         const likeIcon = interactionElement?.classList.contains("like-icon")
             ? interactionElement
             : interactionElement?.querySelector(".like-icon");
 
-        if (likeIcon) {
+        if (likeIcon && isLikeAdded !== undefined) {
             likeIcon.textContent = isLikeAdded ? "favorite" : "favorite_border";
             likeIcon.setAttribute('data-liked', isLikeAdded);
             isLikeAdded ? likeIcon.classList.add("active") : likeIcon.classList.remove("active");
         }
 
-        const likeCountElement = interactionElement?.querySelector(".like-count");
+        const likeCountElement = interactionElement?.querySelector(countSelector);
         if (!likeCountElement) return;
 
-        let currentCount = parseInt(likeCountElement.textContent, 10) || 0;
+        const previousText = likeCountElement.textContent;
+        let currentCount = parseInt(previousText, 10) || 0;
 
         if (isLikeAdded === undefined) {
             likeCountElement.textContent = UtilsModule.formatNumberAbbreviated(likesCount);
@@ -1488,6 +1524,13 @@ function updateCounterUI(interactionElement, likesCount, isLikeAdded) {
         } else {
             likeCountElement.textContent = UtilsModule.formatNumberAbbreviated(likesCount);
         }
+
+        if (isLikeAdded === undefined && likeCountElement.textContent !== previousText) {
+            likeCountElement.classList.remove('counter-updated');
+            void likeCountElement.offsetWidth; // restart the animation
+            likeCountElement.classList.add('counter-updated');
+            likeCountElement.addEventListener('animationend', () => likeCountElement.classList.remove('counter-updated'), { once: true });
+        }
     } catch (error) {
         console.error('Error updating counter UI:', error);
     }
@@ -1664,6 +1707,7 @@ function addReplyHeaderUI(commentHeader) {
         const handleCloseButtonClick = () => {
             removeHeaderUI();
             const commentInput = UiModule.getCommentInputUI();
+            CommentsModule.discardDraft();
             commentInput.removeAttribute('data-reply-id');
             commentInput.value = '';
             commentInput.focus();
@@ -1683,7 +1727,8 @@ function addReplyHeaderUI(commentHeader) {
 }
 
 function getCounterFromDOMUI(entityId, indicator) {
-    const interactionElement = document.querySelector(`[data-entity-interaction="${entityId}"]`);
+    // Every bar of an entity shows the same counts
+    const [interactionElement] = getEntityInteractionsUI(entityId);
     if (!interactionElement) return null;
 
     let selector = '';
@@ -1776,6 +1821,224 @@ function insertAtCursor(inputElement, text) {
     inputElement.selectionStart = inputElement.selectionEnd = start + text.length;
 }
 
+/**
+ * Markup each formatting button wraps around the selection, as understood by
+ * the comment renderer. Shortcuts apply with Ctrl (or Cmd) held.
+ */
+const FORMATTING_ACTIONS = {
+    bold: { icon: 'format_bold', before: '**', after: '**', shortcut: 'b' },
+    italic: { icon: 'format_italic', before: '*', after: '*', shortcut: 'i' },
+    code: { icon: 'code', before: '`', after: '`' },
+    quote: { icon: 'format_quote', before: '> ', after: '' },
+    link: { icon: 'link', before: '[', after: '](https://)', shortcut: 'k' },
+    spoiler: { icon: 'visibility_off', before: '||', after: '||' }
+};
+
+/**
+ * Wraps the selection of an input in the markup of a formatting action. With
+ * nothing selected the caret is left between the markers, ready to type.
+ * @param {HTMLElement} input - The comment input
+ * @param {string} format - Key of FORMATTING_ACTIONS
+ */
+function applyFormattingUI(input, format) {
+    const action = FORMATTING_ACTIONS[format];
+    if (!input || !action) return;
+
+    const start = input.selectionStart;
+    const end = input.selectionEnd;
+    const selected = input.value.substring(start, end);
+    let { before, after } = action;
+
+    if (format === 'code' && selected.includes('\n')) {
+        before = '```\n';
+        after = '\n```';
+    }
+    if (format === 'quote' && start > 0 && input.value[start - 1] !== '\n') {
+        before = `\n${before}`;
+    }
+
+    insertAtCursor(input, before + selected + after);
+
+    if (!selected) {
+        input.selectionStart = start + before.length;
+    } else if (format === 'link') {
+        // Select the URL placeholder so typing replaces it
+        const urlStart = start + before.length + selected.length + 2;
+        input.setSelectionRange?.(urlStart, urlStart + after.length - 3);
+    }
+
+    input.focus();
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Adds the formatting toolbar and its preview above the comment input, once.
+ * Enabled with `composer.toolbar`.
+ */
+function createFormattingToolbarUI() {
+    if (!ConfModule.get('composer.toolbar', false) || document.querySelector('.quelora-format-toolbar')) {
+        return;
+    }
+
+    const input = UiModule.getCommentInputUI();
+    if (!input) return;
+
+    const preview = createElementUI({ tag: 'div', classes: ['quelora-composer-preview', 'comment-text'] });
+    preview.hidden = true;
+
+    const renderPreview = () => {
+        if (preview.hidden) return;
+        const fragment = document.createDocumentFragment();
+        fragment.appendChild(document.createTextNode(input.value));
+        preview.replaceChildren(CommentsModule.enrichCommentText(fragment));
+    };
+
+    const buttons = Object.entries(FORMATTING_ACTIONS).map(([format, { icon }]) => createElementUI({
+        tag: 'button',
+        classes: ['quelora-format-button', 'quelora-icons-outlined'],
+        attributes: { type: 'button', tabindex: '-1', 'data-format': format },
+        content: icon
+    }));
+
+    const previewButton = createElementUI({
+        tag: 'button',
+        classes: 'quelora-format-preview',
+        attributes: { type: 'button', tabindex: '-1' },
+        children: [
+            createElementUI({ tag: 'span', classes: 'quelora-icons-outlined', content: 'preview' }),
+            createElementUI({ tag: 'span', content: '{{preview}}', translate: true })
+        ]
+    });
+
+    const toolbar = createElementUI({
+        tag: 'div',
+        classes: 'quelora-format-toolbar',
+        children: [...buttons, previewButton]
+    });
+
+    // pointerdown + preventDefault keeps the focus, and so the selection, in the input
+    toolbar.addEventListener('pointerdown', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        e.preventDefault();
+
+        if (button === previewButton) {
+            preview.hidden = !preview.hidden;
+            previewButton.classList.toggle('active', !preview.hidden);
+            renderPreview();
+        } else {
+            applyFormattingUI(input, button.dataset.format);
+        }
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+        const format = Object.keys(FORMATTING_ACTIONS).find(key => FORMATTING_ACTIONS[key].shortcut === e.key.toLowerCase());
+        if (!format) return;
+
+        e.preventDefault();
+        applyFormattingUI(input, format);
+    });
+
+    // Follows typing as well as programmatic changes (emoji, mentions, clearing after send)
+    const previewObserver = new MutationObserver(renderPreview);
+    previewObserver.observe(input, { childList: true, characterData: true, subtree: true });
+    UtilsModule.registerObserver(previewObserver, input, 'mutation', renderPreview);
+
+    addElementHeaderUI(preview, true);
+    addElementHeaderUI(toolbar, true);
+}
+
+/**
+ * Builds the preview card shown under a link in a comment
+ * @param {Object} preview - { url, title, description, image, siteName } from LinksModule
+ * @param {string} policy - The link's domain policy, so the card opens the same way
+ * @returns {HTMLElement|null} The card, an <a> element
+ */
+function createLinkPreviewUI(preview, policy) {
+    try {
+        const { hostname } = new URL(preview.url);
+
+        const card = createElementUI({
+            tag: 'a',
+            classes: 'quelora-link-preview',
+            attributes: {
+                href: preview.url,
+                target: '_blank',
+                rel: 'noopener noreferrer nofollow ugc',
+                'data-link-policy': policy
+            }
+        });
+
+        if (preview.image) {
+            card.appendChild(createElementUI({
+                tag: 'img',
+                classes: 'quelora-link-preview-image',
+                attributes: { src: preview.image, alt: '', loading: 'lazy', referrerpolicy: 'no-referrer' }
+            }));
+        }
+
+        card.appendChild(createElementUI({
+            tag: 'div',
+            classes: 'quelora-link-preview-body',
+            children: [
+                createElementUI({ tag: 'span', classes: 'quelora-link-preview-domain', content: hostname }),
+                preview.title && createElementUI({ tag: 'span', classes: 'quelora-link-preview-title', content: preview.title }),
+                preview.description && createElementUI({ tag: 'span', classes: 'quelora-link-preview-description', content: preview.description })
+            ].filter(Boolean)
+        }));
+
+        return card;
+    } catch (error) {
+        console.error('Error creating link preview:', error);
+        return null;
+    }
+}
+
+/**
+ * Asks before opening a link to a domain that is not on the allowlist
+ * @param {string} url - The link's URL
+ */
+function showExternalLinkWarningUI(url) {
+    try {
+        const { hostname } = new URL(url);
+
+        const bodyNode = createElementUI({
+            tag: 'div',
+            classes: 'quelora-link-warning',
+            children: [
+                createElementUI({ tag: 'span', classes: 'quelora-icons-outlined', content: 'warning' }),
+                createElementUI({ tag: 'p', classes: 'quelora-link-warning-title', content: '{{openLink}}', translate: true }),
+                createElementUI({ tag: 'p', content: '{{externalLinkWarning}}', translate: true }),
+                createElementUI({ tag: 'p', classes: 'quelora-link-warning-host', content: hostname }),
+                createElementUI({ tag: 'p', classes: 'quelora-link-warning-url', content: url })
+            ]
+        });
+
+        setupModalUI(bodyNode, '.quelora-comments');
+
+        const footer = modalCache.footer;
+        if (!footer) return;
+
+        const continueBtn = document.createElement('button');
+        continueBtn.className = 'quelora-btn send-button';
+        continueBtn.innerHTML = `<span class="quelora-icons-outlined">open_in_new</span><span class="t">{{continueToSite}}</span>`;
+        continueBtn.onclick = () => {
+            window.open(url, '_blank', 'noopener,noreferrer');
+            UiModule.closeModalUI();
+        };
+        footer.appendChild(continueBtn);
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'quelora-btn close-button';
+        closeBtn.innerHTML = `<span class="quelora-icons-outlined">close</span><span class="t">{{cancel}}</span>`;
+        closeBtn.onclick = () => UiModule.closeModalUI();
+        footer.appendChild(closeBtn);
+    } catch (error) {
+        console.error('Error showing external link warning:', error);
+    }
+}
+
 function removeHeaderUI() {
     try {
         const commentBarContainer = document.querySelector('.comment-bar-container');
@@ -1810,7 +2073,8 @@ function updateCommentLikeUI(commentId, likesCount, authorLiked) {
       const likeIcon = commentElement.querySelector('.like-icon');
       const likeCountElement = commentElement.querySelector('.like-count');
 
-      if (likeIcon) {
+      // Live updates carry only the count; keep the user's own like state
+      if (likeIcon && authorLiked !== undefined) {
         likeIcon.textContent = authorLiked ? 'favorite' : 'favorite_border';
         likeIcon.setAttribute('data-liked', authorLiked);
         authorLiked ? likeIcon.classList.add('active') : likeIcon.classList.remove('active');
@@ -1840,15 +2104,14 @@ function resetCommentLikeIconsUI() {
 
 function updateCommentCountUI(entityId, isAdded) {
     try {
-        const interactionElement = document.querySelector(`[data-entity-interaction="${entityId}"]`);
-        if (!interactionElement) return;
-
-        const commentCountElement = interactionElement.querySelector('.comment-count');
-        if (!commentCountElement) return;
+        getEntityInteractionsUI(entityId).forEach(interactionElement => {
+            const commentCountElement = interactionElement.querySelector('.comment-count');
+            if (!commentCountElement) return;
 
-        let currentCount = parseInt(commentCountElement.textContent, 10) || 0;
-        currentCount = isAdded ? currentCount + 1 : Math.max(0, currentCount - 1);
-        commentCountElement.textContent = UtilsModule.formatNumberAbbreviated(currentCount);
+            let currentCount = parseInt(commentCountElement.textContent, 10) || 0;
+            currentCount = isAdded ? currentCount + 1 : Math.max(0, currentCount - 1);
+            commentCountElement.textContent = UtilsModule.formatNumberAbbreviated(currentCount);
+        });
     } catch (error) {
         console.error('Error updating comment count:', error);
     }
@@ -1871,9 +2134,52 @@ async function addProfileOptionUI() {
     }
 }
 
+const SETTINGS_MENUS_SELECTOR = '#quelora-community-settings .settings-menu, #quelora-community-general-settings .settings-menu';
+
+/**
+ * Theme to show: the user's light or dark choice from the settings menu, else
+ * the configured one. A stored 'system' (older versions saved it on every
+ * load) does not override the configuration.
+ * @returns {'light'|'dark'|'system'}
+ */
+const getPreferredThemeUI = () => {
+    const stored = StorageModule.getLocalItem('quelora_theme');
+    return stored && stored !== 'system' ? stored : ConfModule.get('theme', 'system');
+};
+
+/**
+ * Applies a theme to the document and marks it as active in every settings menu.
+ * @param {'light'|'dark'|'system'} theme - Theme to apply
+ * @param {boolean} [persist=false] - Whether to store it as the user's choice
+ */
+function applyThemeUI(theme, persist = false) {
+    let actualTheme = theme;
+    if (theme === 'system') {
+        document.documentElement.removeAttribute('data-theme');
+        actualTheme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+    document.documentElement.setAttribute('data-theme', actualTheme);
+    if (persist) {
+        // Choosing 'system' hands the theme back to the configuration
+        theme === 'system'
+            ? StorageModule.removeLocalItem('quelora_theme')
+            : StorageModule.setLocalItem('quelora_theme', theme);
+    }
+
+    document.querySelectorAll(SETTINGS_MENUS_SELECTOR).forEach(menu => {
+        const buttons = {
+            light: menu.querySelector('.light-theme'),
+            dark: menu.querySelector('.dark-theme'),
+            system: menu.querySelector('.system-theme')
+        };
+        Object.values(buttons).forEach(button => button?.classList.remove('active'));
+        buttons[theme]?.classList.add('active');
+    });
+}
+
 async function setupSettingsOptions() {
     try {
-        const settingsMenus = document.querySelectorAll('#quelora-community-settings .settings-menu, #quelora-community-general-settings .settings-menu');
+        const settingsMenus = document.querySelectorAll(SETTINGS_MENUS_SELECTOR);
         if (!settingsMenus.length) return;
 
         const generalSettingsMenus = document.querySelector('#quelora-community-general-settings');  
@@ -1895,33 +2201,13 @@ async function setupSettingsOptions() {
             };
 
             if (themeButtons.light && themeButtons.dark && themeButtons.system) {
-                const applyTheme = (theme) => {
-                    let actualTheme = theme;
-                    if (theme === 'system') {
-                        document.documentElement.removeAttribute('data-theme');
-                        actualTheme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
-                    }
-                    document.documentElement.setAttribute('data-theme', actualTheme);
-                    StorageModule.setLocalItem('quelora_theme', theme);
-
-                    settingsMenus.forEach(menu => {
-                        const buttons = {
-                            light: menu.querySelector('.light-theme'),
-                            dark: menu.querySelector('.dark-theme'),
-                            system: menu.querySelector('.system-theme')
-                        };
-                        Object.values(buttons).forEach(button => button?.classList.remove('active'));
-                        buttons[theme]?.classList.add('active');
-                    });
-                };
-
                 for (const theme in themeButtons) {
-                    themeButtons[theme].addEventListener('click', () => applyTheme(theme));
+                    themeButtons[theme].addEventListener('click', () => applyThemeUI(theme, true));
                 }
 
                 const handleThemeChange = () => {
-                    if (StorageModule.getLocalItem('quelora_theme') === 'system') {
-                        applyTheme('system');
+                    if (getPreferredThemeUI() === 'system') {
+                        applyThemeUI('system');
                     }
                 };
 
@@ -1929,8 +2215,7 @@ async function setupSettingsOptions() {
                 mediaQuery.removeEventListener('change', handleThemeChange);
                 mediaQuery.addEventListener('change', handleThemeChange);
 
-                const savedTheme = StorageModule.getLocalItem('quelora_theme');
-                applyTheme(savedTheme || 'system');
+                applyThemeUI(getPreferredThemeUI());
             }
 
             // Configurar select de idiomas
@@ -2112,6 +2397,51 @@ const getCommunityThreadsUI = () => {
     return cachedCommunityThreadsUI;
 }
 
+/**
+* Adds the sort selector to the comments drawer header, or syncs the one already there.
+* @param {Array<string>} sorts - Available sort modes, in display order
+* @param {string} current - The selected sort mode
+* @param {Function} onChange - Called with the newly chosen sort mode
+* @returns {HTMLSelectElement|null} The select element or null.
+*/
+const renderThreadSortUI = (sorts, current, onChange) => {
+    const header = commentsDrawerUI.header;
+    if (!header) return null;
+
+    let select = header.querySelector('.thread-sort-select');
+
+    if (!select) {
+        select = createElementUI({
+            tag: 'select',
+            classes: 'thread-sort-select',
+            attributes: { name: 'thread-sort' },
+            children: sorts.map(sort => createElementUI({
+                tag: 'option',
+                attributes: { value: sort },
+                content: `{{sort${sort.charAt(0).toUpperCase()}${sort.slice(1)}}}`,
+                translate: true
+            }))
+        });
+
+        const wrapper = createElementUI({
+            tag: 'div',
+            classes: 'thread-sort',
+            children: [
+                createElementUI({ tag: 'span', classes: 'quelora-icons-outlined', content: 'sort' }),
+                select
+            ]
+        });
+
+        // Keep taps on the selector from dragging the drawer
+        ['mousedown', 'touchstart'].forEach(type => wrapper.addEventListener(type, event => event.stopPropagation()));
+        select.addEventListener('change', () => onChange(select.value));
+        header.insertBefore(wrapper, header.querySelector('.drawer-close-btn'));
+    }
+
+    select.value = current;
+    return select;
+}
+
 /**
 * Gets the parent profile container.
 * @returns {HTMLElement|null} The #quelora-profile element or null.
@@ -2164,14 +2494,25 @@ const getShareButtonUI = () =>  {
     return cachedShareButtonUI;
 }
 
+/**
+ * Gets every interaction container: an entity can have a registered bar and one found in the page.
+ * @param {string} [entityId] - The entity's ID (optional). If omitted, returns all.
+ * @returns {HTMLElement[]} The elements with data-entity-interaction.
+ */
+const getEntityInteractionsUI = (entityId) => {
+  const selector = entityId ? `[data-entity-interaction="${entityId}"]` : `[data-entity-interaction]`;
+  // Bars of registered entities may be rendered outside the document
+  const registeredBars = EntityModule.getRegisteredBars(entityId);
+  return [...new Set([...registeredBars, ...ShadowDomModule.querySelectorAllDeep(selector)])];
+};
+
 /**
  * Gets the interaction container(s).
  * @param {string} [entityId] - The entity's ID (optional). If omitted, returns all.
- * @returns {HTMLElement|NodeList|null} The element(s) with data-entity-interaction, or null if not found.
+ * @returns {HTMLElement|HTMLElement[]|null} The element(s) with data-entity-interaction, or null if not found.
  */
 const getEntityInteractionUI = (entityId) => {
-  const selector = entityId ? `[data-entity-interaction="${entityId}"]` : `[data-entity-interaction]`;
-  const res = document.querySelectorAll(selector);
+  const res = getEntityInteractionsUI(entityId);
   if (!res.length) return null;
 
   return res.length === 1 ? res[0] : res;
@@ -2310,8 +2651,21 @@ function insertTextIntoCommentInputUI(textToSend) {
     }
 }
 
+const getDrawersUI = () => [
+    settingsDrawerUI,
+    generalSettingsDrawerUI,
+    likesDrawerUI,
+    commentsDrawerUI,
+    profileDrawerUI,
+    notificationDrawerUI,
+    followRequestDrawerUI,
+    searchFollowRequestDrawerUI
+];
+
 const initializeUI = () => {
     try {
+        // Drawers removed by a previous destroyUI() come back with their content
+        getDrawersUI().forEach(drawer => drawer.attach());
         filterListItemsUI('likes-search', '#quelora-likes-list');
         addProfileOptionUI();
         setupSettingsOptions();
@@ -2325,10 +2679,33 @@ const initializeUI = () => {
     }
 };
 
+/**
+ * Removes everything the widget injected into the host page: drawers,
+ * interaction bars and the shared modal/picker containers.
+ */
+const destroyUI = () => {
+    try {
+        getDrawersUI().forEach(drawer => {
+            if (drawer.element.classList.contains('active')) drawer.close(true);
+            drawer.destroy();
+        });
+        Drawer.drawerStack.length = 0;
+        Drawer.activeDrawer = null;
+
+        ShadowDomModule.querySelectorAllDeep('[data-entity-interaction]').forEach(ShadowDomModule.removeBar);
+        ShadowDomModule.querySelectorAllDeep('[data-entity-ready]').forEach(element => element.removeAttribute('data-entity-ready'));
+        document.getElementById('quelora-picker-container')?.remove();
+        document.getElementById('quelora-modal')?.remove();
+    } catch (error) {
+        console.error('Error destroying UI:', error);
+    }
+};
+
 const UiModule = {
     createElementUI,
     getCommentHeaderUI,
     getCommunityThreadsUI,
+    renderThreadSortUI,
     getProfileContainerUI,
     getCommentInputUI,
     getCommunityUI,
@@ -2338,7 +2715,9 @@ const UiModule = {
     getLikesListUI,
     getShareButtonUI,
     getEntityInteractionUI,
+    getEntityInteractionsUI,
     initializeUI,
+    destroyUI,
     createProfileDropupUI,
     addLoadingMessageUI,
     addProfileSkeletoUI,
@@ -2379,9 +2758,14 @@ const UiModule = {
     handleAudioResponseUI,
     getCounterFromDOMUI,
     createEmojiPickerBarUI,
+    createFormattingToolbarUI,
+    createLinkPreviewUI,
+    showExternalLinkWarningUI,
     audioUI,
     destroyElementsByUI,
-    insertTextIntoCommentInputUI
+    insertTextIntoCommentInputUI,
+    applyThemeUI,
+    getPreferredThemeUI
 };
 
 export default UiModule;
\ No newline at end of file
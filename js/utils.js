@@ -35,6 +35,7 @@
 import PostsModule from './posts.js';
 import EntityModule from './entity.js';
 import UiModule from './ui.js';
+import ShadowDomModule from './shadowDom.js';
 
 // Cache for storing post statistics
 const postStatsCache = new Map();
@@ -108,6 +109,20 @@ function getRegisteredObservers() {
     return observerRegistry;
 }
 
+/**
+ * Disconnects and forgets every registered observer, or only those of a type.
+ * @param {string} [type] - Observer type ('mutation', 'intersection', ...)
+ */
+function clearObservers(type) {
+    try {
+        for (const [key, { type: obsType }] of observerRegistry) {
+            if (!type || type === obsType) unregisterObserver(key);
+        }
+    } catch (error) {
+        console.error('UtilsModule: Error in clearObservers:', error);
+    }
+}
+
 /**
  * Formats a date string into a localized short date (e.g., "Jan 1, 2023").
  * @param {string} dateString - Date in string format.
@@ -221,8 +236,19 @@ const debouncedFetchStats = debounce(() => {
      PostsModule.fetchStats();
 }, 250);
 
+/**
+ * Debounced version of PostsModule.releaseDetachedEntities, delayed by 250ms.
+ */
+const debouncedReleaseEntities = debounce(() => {
+    PostsModule.releaseDetachedEntities();
+}, 250);
+
+const containsEntity = (node) =>
+    node.nodeType === Node.ELEMENT_NODE && (node.matches(selector) || ShadowDomModule.querySelectorDeep(selector, node));
+
 /**
  * Observes DOM for new entities matching the config selector and triggers stats fetching.
+ * Removed entities release the state kept for them.
  * @returns {MutationObserver|null} Observer instance or null if error occurs.
  */
 let selector;
@@ -230,30 +256,26 @@ let selector;
 function observeNewEntities() {
     try {
         const updateConfig = () => {
-            const config = EntityModule.getConfig();
-            selector = config.selector;
+            selector = EntityModule.getSelector();
         };
 
         updateConfig();
 
-        const observer = new MutationObserver((mutations) => {
+        const observer = ShadowDomModule.observeDeep((mutations) => {
             if (!selector) updateConfig(); // fallback defensivo
 
+            let added = false;
+            let removed = false;
+
             for (const mutation of mutations) {
-                for (const node of mutation.addedNodes) {
-                    if (node.nodeType !== Node.ELEMENT_NODE) continue;
-                    if (node.matches(selector) || node.querySelector(selector)) {
-                        debouncedFetchStats();
-                        return;
-                    }
-                }
+                added = added || Array.from(mutation.addedNodes).some(containsEntity);
+                removed = removed || Array.from(mutation.removedNodes).some(containsEntity);
+                if (added && removed) break;
             }
-        });
 
-        observer.observe(document.body, {
-            childList: true,
-            subtree: true
-        });
+            if (added) debouncedFetchStats();
+            if (removed) debouncedReleaseEntities();
+        }, document.body, { childList: true, subtree: true });
 
         // Registrar el observador y retornar la key
         return registerObserver(
@@ -276,13 +298,29 @@ function observeNewEntities() {
 function setStatsCache(stat) {
     try {
         if (stat && stat.entity) {
-            postStatsCache.set(stat.entity, stat.config);
+            postStatsCache.set(stat.entity, EntityModule.applyFeatureFlags(stat.entity, stat.config));
         }
     } catch (error) {
         console.error('Error setting stats cache:', error);
     }
 }
 
+/**
+ * Removes cached configuration for an entity that left the page.
+ * @param {string} entityId - Entity ID.
+ */
+function deleteStatsCache(entityId) {
+    postStatsCache.delete(entityId);
+}
+
+/**
+ * Entity IDs with cached configuration.
+ * @returns {string[]}
+ */
+function getCachedEntities() {
+    return Array.from(postStatsCache.keys());
+}
+
 /**
  * Retrieves configuration from cache for a given entity ID.
  * @param {string} entityId - ID of the entity.
@@ -632,6 +670,8 @@ const UtilsModule = {
     observeNewEntities,
     getConfig,
     setStatsCache,
+    deleteStatsCache,
+    getCachedEntities,
     setInputLimit,
     formatDate,
     formatNumberAbbreviated,
@@ -644,7 +684,8 @@ const UtilsModule = {
     unregisterObserver,
     pauseObservers,
     resumeObservers,
-    getRegisteredObservers
+    getRegisteredObservers,
+    clearObservers
 };
 
 export default UtilsModule;
\ No newline at end of file
@@ -0,0 +1,198 @@
+/*!
+ * QUELORA – Real-time interaction platform for websites
+ * 
+ * @author German Zelaya
+ * @version 1.0.0
+ * @since 2025
+* @license Licensed under the GNU Affero General Public License v3.0
+ * 
+ * Copyright (C) 2025 German Zelaya
+ * 
+ * QUELORA is an open-source platform designed to add real-time comments,
+ * posts, and reactions to websites. Its lightweight widget (~170KB uncompressed)
+ * integrates easily into any page without the need for frameworks like React
+ * or jQuery. It includes support for AI-powered automated moderation,
+ * engagement analytics, and a multi-tenant dashboard to manage multiple sites
+ * from a single interface.
+ * 
+ * This script is part of the QUELORA project, available at:
+ * https://www.quelora.org/
+ * 
+ * This program is free software: you can redistribute it and/or modify it
+ * under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Protocol spoken with queloraWorker.js. Every request carries
+ * { protocol, id, action, payload } and every reply is an envelope
+ * { protocol, id, action, ok, payload, error, ... } where `error` is
+ * { code, message, status, details } whenever `ok` is false.
+ */
+export const PROTOCOL_VERSION = 2;
+const SUPPORTED_PROTOCOLS = [PROTOCOL_VERSION];
+const INIT_TIMEOUT = 10000;
+
+/**
+ * Error raised for a request the worker answered with `ok: false`.
+ */
+export class WorkerRequestError extends Error {
+    constructor(error = {}, action = null) {
+        super(error.message || 'Worker request failed');
+        this.name = error.code === 'ABORTED' ? 'AbortError' : 'WorkerRequestError';
+        this.code = error.code || 'REQUEST_FAILED';
+        this.status = error.status || null;
+        this.details = error.details || null;
+        this.action = action;
+    }
+}
+
+/**
+ * Wraps the Web Worker so modules can either fire messages and let the
+ * handlers in quelora.js react to the reply, or `await` the reply itself.
+ */
+class WorkerClient {
+    constructor(worker, options = {}) {
+        this.worker = worker;
+        this.timeout = options.timeout || 0;
+        this.initTimeout = options.initTimeout || INIT_TIMEOUT;
+        this.protocol = null;
+        this.sequence = 0;
+        this.pending = new Map();
+        this.listeners = new Set();
+
+        this._boundOnMessage = this.handleMessage.bind(this);
+        this.worker.addEventListener('message', this._boundOnMessage);
+    }
+
+    nextId() {
+        return `${Date.now().toString(36)}-${++this.sequence}`;
+    }
+
+    /**
+     * Sends a message without waiting for its reply. The reply still reaches
+     * the `onMessage` listeners.
+     * @param {Object} message - { action, payload, id? }
+     * @returns {string} The id stamped on the message
+     */
+    postMessage({ action, payload = {}, id = this.nextId() }) {
+        this.worker.postMessage({ protocol: this.protocol || PROTOCOL_VERSION, id, action, payload });
+        return id;
+    }
+
+    /**
+     * Sends a message and resolves with the payload of its reply.
+     * @param {string} action - Worker action
+     * @param {Object} [payload] - Action payload
+     * @param {Object} [options] - { id, timeout } (timeout in ms, 0 waits forever)
+     * @returns {Promise<*>} Rejects with a WorkerRequestError when the reply is not ok
+     */
+    request(action, payload = {}, { id = this.nextId(), timeout = this.timeout } = {}) {
+        const promise = new Promise((resolve, reject) => {
+            const entry = { action, resolve, reject, timeoutId: null };
+            if (timeout > 0) {
+                entry.timeoutId = setTimeout(() => {
+                    this.settle(id, { ok: false, error: { code: 'TIMEOUT', message: `${action} timed out after ${timeout}ms` } });
+                }, timeout);
+            }
+            this.pending.set(id, entry);
+        });
+        promise.id = id;
+        this.postMessage({ action, payload, id });
+        return promise;
+    }
+
+    /**
+     * Cancels a request started with `postMessage` or `request`.
+     * @param {string} id - Id of the request to cancel
+     */
+    abort(id) {
+        if (!id) return;
+        this.worker.postMessage({ protocol: this.protocol || PROTOCOL_VERSION, id: this.nextId(), action: 'abort', payload: { id } });
+        this.settle(id, { ok: false, error: { code: 'ABORTED', message: 'Request aborted' } });
+    }
+
+    /**
+     * Sends the init payload and agrees on the protocol version to use.
+     * A worker that never answers (script error, blob blocked by CSP) fails
+     * the handshake after `initTimeout` ms instead of hanging forever.
+     * @param {Object} payload - Worker settings
+     * @returns {Promise<number>} Negotiated protocol version
+     */
+    async init(payload) {
+        let result;
+        try {
+            result = await this.request('init', { ...payload, protocols: SUPPORTED_PROTOCOLS }, { timeout: this.initTimeout });
+        } catch (error) {
+            if (error.code !== 'TIMEOUT') throw error;
+            throw new WorkerRequestError({
+                code: 'INIT_FAILED',
+                message: `Worker did not answer the init handshake within ${this.initTimeout}ms, check that its script loads and is allowed by the page CSP (worker-src)`
+            }, 'init');
+        }
+        this.protocol = result.protocol;
+        return this.protocol;
+    }
+
+    /**
+     * Subscribes to every reply and pushed event that is not silent.
+     * @param {Function} listener - Receives (message, { awaited })
+     * @returns {Function} Unsubscribe function
+     */
+    onMessage(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    handleMessage(event) {
+        const message = event.data;
+        if (!message || typeof message !== 'object') return;
+
+        if (message.protocol && !SUPPORTED_PROTOCOLS.includes(message.protocol)) {
+            console.error(`Unsupported worker protocol: ${message.protocol}`);
+            return;
+        }
+
+        const awaited = this.settle(message.id, message);
+        if (message.silent) return;
+
+        this.listeners.forEach((listener) => listener(message, { awaited }));
+    }
+
+    /**
+     * Resolves or rejects the pending request a reply belongs to.
+     * @returns {boolean} Whether a pending request was settled
+     */
+    settle(id, message) {
+        const entry = id && this.pending.get(id);
+        if (!entry) return false;
+
+        this.pending.delete(id);
+        clearTimeout(entry.timeoutId);
+
+        if (message.ok) {
+            entry.resolve(message.payload);
+        } else {
+            entry.reject(new WorkerRequestError(message.error, entry.action));
+        }
+        return true;
+    }
+
+    terminate() {
+        this.pending.forEach((entry, id) => this.settle(id, { ok: false, error: { code: 'TERMINATED', message: 'Worker terminated' } }));
+        this.worker.removeEventListener('message', this._boundOnMessage);
+        this.listeners.clear();
+        this.worker.terminate();
+    }
+}
+
+export default WorkerClient;